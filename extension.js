@@ -5,108 +5,47 @@
 
 const vscode = require('vscode');
 const { LanguageClient, TransportKind } = require('vscode-languageclient/node');
+const { parse, walk } = require('./server/parser.js');
 
 let client;
 
 const KEYWORDS = [
   'var','if','else','while','for','return','break','continue','class','fun','this','and','or','not','in','new',
-  'match','case','default','use','using'
+  'match','case','default','use','using','try','catch','finally','throw'
 ];
 
 const TYPE_KEYWORDS = ['int','float','string','bool','array','object','any'];
 
-const BUILTIN_MODULES = ['sys','json','math','fmt','time','http','arrays'];
+// Signatures of the global builtins and builtin modules, shared with the type checker
+const BUILTINS = require('./server/builtins.json');
 
-const BUILTIN_FUNCTIONS = [
-  {
-    label: 'say',
-    detail: 'say(value) → void',
-    documentation: 'Prints a value to the console followed by a newline.'
-  }
-];
+const BUILTIN_MODULES = Object.keys(BUILTINS.modules);
+
+// Completion entry for a catalog signature, e.g. detail `sys.exit([code]) → nil`
+function makeSignatureEntry(label, qualifiedName, signature) {
+  const params = signature.params.map(p => (p.optional ? `[${p.name}]` : p.name)).join(', ');
+  return {
+    label,
+    detail: `${qualifiedName}(${params}) → ${signature.returns}`,
+    documentation: signature.documentation
+  };
+}
+
+const BUILTIN_FUNCTIONS = Object.keys(BUILTINS.functions).map(name =>
+  makeSignatureEntry(name, name, BUILTINS.functions[name])
+);
 
-// Module functions from documentation
-const MODULE_FUNCTIONS = {
-  sys: [
-    { label: 'read', detail: 'sys.read(filename) → string', documentation: 'Reads file content' },
-    { label: 'write', detail: 'sys.write(filename, content) → void', documentation: 'Writes content to file' },
-    { label: 'append', detail: 'sys.append(filename, content) → void', documentation: 'Appends content to file' },
-    { label: 'cp', detail: 'sys.cp(source, destination) → void', documentation: 'Copies file' },
-    { label: 'mv', detail: 'sys.mv(source, destination) → void', documentation: 'Moves file' },
-    { label: 'rm', detail: 'sys.rm(filename) → void', documentation: 'Removes file' },
-    { label: 'exists', detail: 'sys.exists(filename) → bool', documentation: 'Checks if file exists' },
-    { label: 'mkdir', detail: 'sys.mkdir(path) → void', documentation: 'Creates directory' },
-    { label: 'rmdir', detail: 'sys.rmdir(path) → void', documentation: 'Removes directory' },
-    { label: 'cwd', detail: 'sys.cwd() → string', documentation: 'Gets current working directory' },
-    { label: 'chdir', detail: 'sys.chdir(path) → void', documentation: 'Changes working directory' },
-    { label: 'env', detail: 'sys.env() → object', documentation: 'Gets environment variables' },
-    { label: 'args', detail: 'sys.args() → array', documentation: 'Gets command line arguments' },
-    { label: 'info', detail: 'sys.info() → object', documentation: 'Gets system information' },
-    { label: 'exit', detail: 'sys.exit([code]) → void', documentation: 'Exits the program' },
-    { label: 'exec', detail: 'sys.exec(command) → string', documentation: 'Executes system command' },
-    { label: 'input', detail: 'sys.input() → string', documentation: 'Gets user input' }
-  ],
-  json: [
-    { label: 'stringify', detail: 'json.stringify(value, [pretty]) → string', documentation: 'Converts to JSON string' },
-    { label: 'parse', detail: 'json.parse(jsonString) → value', documentation: 'Parses JSON string' },
-    { label: 'get', detail: 'json.get(jsonObject, key) → value', documentation: 'Gets value from JSON object' }
-  ],
-  math: [
-    { label: 'add', detail: 'math.add(a, b) → number', documentation: 'Adds two numbers' },
-    { label: 'subtract', detail: 'math.subtract(a, b) → number', documentation: 'Subtracts b from a' },
-    { label: 'multiply', detail: 'math.multiply(a, b) → number', documentation: 'Multiplies two numbers' },
-    { label: 'divide', detail: 'math.divide(a, b) → number', documentation: 'Divides a by b' },
-    { label: 'pow', detail: 'math.pow(base, exponent) → number', documentation: 'Raises base to exponent' },
-    { label: 'sqrt', detail: 'math.sqrt(number) → number', documentation: 'Square root' },
-    { label: 'abs', detail: 'math.abs(number) → number', documentation: 'Absolute value' }
-  ],
-  fmt: [
-    { label: 'to_str', detail: 'fmt.to_str(value) → string', documentation: 'Converts to string' },
-    { label: 'to_int', detail: 'fmt.to_int(value) → number', documentation: 'Converts to integer' },
-    { label: 'to_float', detail: 'fmt.to_float(value) → number', documentation: 'Converts to float' },
-    { label: 'to_bin', detail: 'fmt.to_bin(value) → string', documentation: 'Converts to binary string' },
-    { label: 'type', detail: 'fmt.type(value) → string', documentation: 'Gets type of value' }
-  ],
-  time: [
-    { label: 'now', detail: 'time.now() → number', documentation: 'Gets current timestamp' },
-    { label: 'format', detail: 'time.format(timestamp) → string', documentation: 'Formats timestamp' },
-    { label: 'sleep', detail: 'time.sleep(milliseconds) → void', documentation: 'Sleeps for specified time' }
-  ],
-  http: [
-    { label: 'get', detail: 'http.get(url, [headers]) → object', documentation: 'HTTP GET request' },
-    { label: 'post', detail: 'http.post(url, data, [headers]) → object', documentation: 'HTTP POST request' },
-    { label: 'put', detail: 'http.put(url, data, [headers]) → object', documentation: 'HTTP PUT request' },
-    { label: 'delete', detail: 'http.delete(url, [headers]) → object', documentation: 'HTTP DELETE request' },
-    { label: 'head', detail: 'http.head(url, [headers]) → object', documentation: 'HTTP HEAD request' },
-    { label: 'patch', detail: 'http.patch(url, data, [headers]) → object', documentation: 'HTTP PATCH request' }
-  ],
-  arrays: [
-    { label: 'new', detail: 'arrays.new() → array', documentation: 'Creates a new array' },
-    { label: 'length', detail: 'arrays.length(arr) → number', documentation: 'Gets array length' },
-    { label: 'push', detail: 'arrays.push(arr, value) → void', documentation: 'Adds element to array' },
-    { label: 'pop', detail: 'arrays.pop(arr) → value', documentation: 'Removes and returns last element' },
-    { label: 'at', detail: 'arrays.at(arr, index) → value', documentation: 'Gets element at index' },
-    { label: 'set', detail: 'arrays.set(arr, index, value) → void', documentation: 'Sets element at index' },
-    { label: 'slice', detail: 'arrays.slice(arr, start, end) → array', documentation: 'Returns slice of array' },
-    { label: 'join', detail: 'arrays.join(arr, separator) → string', documentation: 'Joins array elements' },
-    { label: 'reverse', detail: 'arrays.reverse(arr) → void', documentation: 'Reverses array' },
-    { label: 'sort', detail: 'arrays.sort(arr) → void', documentation: 'Sorts array' },
-    { label: 'index_of', detail: 'arrays.index_of(arr, value) → number', documentation: 'Finds index of value' },
-    { label: 'contains', detail: 'arrays.contains(arr, value) → bool', documentation: 'Checks if array contains value' },
-    { label: 'remove', detail: 'arrays.remove(arr, value) → bool', documentation: 'Removes first occurrence of value' },
-    { label: 'remove_at', detail: 'arrays.remove_at(arr, index) → value', documentation: 'Removes element at index' },
-    { label: 'clear', detail: 'arrays.clear(arr) → void', documentation: 'Clears array' },
-    { label: 'clone', detail: 'arrays.clone(arr) → array', documentation: 'Creates a copy of array' },
-    { label: 'to_string', detail: 'arrays.to_string(arr) → string', documentation: 'Converts array to string' },
-    { label: 'flat', detail: 'arrays.flat(arr) → array', documentation: 'Flattens nested array' },
-    { label: 'fill', detail: 'arrays.fill(arr, value, start, end) → void', documentation: 'Fills array with value' },
-    { label: 'range', detail: 'arrays.range(start, end, [step]) → array', documentation: 'Creates array with range of numbers' },
-    { label: 'shuffle', detail: 'arrays.shuffle(arr) → void', documentation: 'Shuffles array elements' }
-  ]
-};
+// Module functions from the signature catalog
+const MODULE_FUNCTIONS = {};
+for (const moduleName of BUILTIN_MODULES) {
+  const functions = BUILTINS.modules[moduleName].functions;
+  MODULE_FUNCTIONS[moduleName] = Object.keys(functions).map(name =>
+    makeSignatureEntry(name, `${moduleName}.${name}`, functions[name])
+  );
+}
 
 /**
- * Collect symbols (vars, classes, functions) from current document text using regex heuristics
+ * Collect symbols (vars, classes, functions) from current document text using the shared parser
  */
 function collectDocumentSymbols(text) {
   const items = [];
@@ -116,24 +55,16 @@ function collectDocumentSymbols(text) {
     items.push({ label, kind, detail });
   };
 
-  // var declarations: var [type]? name
-  const varRegex = /\bvar\s+(?:int|float|string|bool|array|object|any\s+)?([a-z_][a-zA-Z0-9_]*)/g;
-  let m;
-  while ((m = varRegex.exec(text))) {
-    pushUnique(m[1], vscode.CompletionItemKind.Variable, 'variable');
-  }
-
-  // functions: fun name(
-  const funRegex = /\bfun\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/g;
-  while ((m = funRegex.exec(text))) {
-    pushUnique(m[1], vscode.CompletionItemKind.Function, 'function');
-  }
-
-  // classes: class Name
-  const classRegex = /\bclass\s+([A-Z][a-zA-Z0-9_]*)/g;
-  while ((m = classRegex.exec(text))) {
-    pushUnique(m[1], vscode.CompletionItemKind.Class, 'class');
-  }
+  const { ast } = parse(text);
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclaration') {
+      pushUnique(node.name, vscode.CompletionItemKind.Variable, node.declaredType ? `variable: ${node.declaredType}` : 'variable');
+    } else if (node.type === 'FunctionDeclaration') {
+      pushUnique(node.id.name, vscode.CompletionItemKind.Function, `function(${node.params.map(param => param.name).join(', ')})`);
+    } else if (node.type === 'ClassDeclaration') {
+      pushUnique(node.id.name, vscode.CompletionItemKind.Class, 'class');
+    }
+  });
 
   return items;
 }
@@ -0,0 +1,73 @@
+'use strict';
+
+const { NeutronParser } = require('./parser.js');
+
+// Maps character offsets to { line, character } positions with a binary search over the
+// offsets at which each line starts, instead of rescanning the text for every lookup
+class LineIndex {
+    constructor(text) {
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                this.lineStarts.push(i + 1);
+            }
+        }
+        this.length = text.length;
+    }
+
+    positionAt(index) {
+        const offset = Math.max(0, Math.min(index, this.length));
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return {
+            line: low,
+            character: offset - this.lineStarts[low]
+        };
+    }
+}
+
+// Parse results of open documents, keyed by URI and valid for one document version.
+// A new version is parsed incrementally from the previous one, so only the top-level
+// statements around an edit are reparsed.
+class DocumentCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // Returns { version, ast, tokens, errors, lineIndex } for the current version of `document`
+    get(document) {
+        const cached = this.entries.get(document.uri);
+        if (cached && cached.version === document.version) {
+            return cached;
+        }
+
+        const text = document.getText();
+        const parser = cached ? cached.parser : new NeutronParser();
+        const ast = cached ? parser.reparse(text) : parser.parse(text);
+        const entry = {
+            version: document.version,
+            parser: parser,
+            ast: ast,
+            tokens: parser.tokens,
+            errors: parser.errors,
+            lineIndex: new LineIndex(text)
+        };
+        this.entries.set(document.uri, entry);
+        return entry;
+    }
+
+    delete(uri) {
+        this.entries.delete(uri);
+    }
+}
+
+module.exports = { LineIndex, DocumentCache };
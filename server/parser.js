@@ -1,4 +1,14 @@
-// Simple parser for Neutron language constructs
+/**
+ * The Neutron parser, shared by the language server, the extension host and plain Node scripts.
+ * It has no dependencies, so `require('./server/parser.js')` works anywhere.
+ *
+ *   const { parse } = require('./server/parser.js');
+ *   const { ast, tokens, errors } = parse(text);
+ *
+ * Parsing never throws: syntax errors are collected as `{ message, start, end }` (character
+ * offsets) and the AST holds every statement that could be recovered. Every node has `type`,
+ * `start` and `end`; see docs/reference/parser_api.md for the node specification.
+ */
 class NeutronParser {
     constructor() {
         this.tokens = [];
@@ -6,233 +16,260 @@ class NeutronParser {
         this.errors = [];  // Track parsing errors including missing semicolons
     }
 
-    // Tokenize the input text
-    tokenize(input) {
-        this.input = input; // Store input so findEndOfLine can access it
-        const tokens = [];
-        let current = 0;
-
-        while (current < input.length) {
-            let char = input[current];
-
-            // Skip whitespace
-            if (/\s/.test(char)) {
-                current++;
-                continue;
-            }
-
-            // Comments
-            if (char === '/' && input[current + 1] === '/') {
-                // Single line comment
-                while (current < input.length && input[current] !== '\n') {
-                    current++;
-                }
-                continue;
-            }
+    isKeyword(value) {
+        const keywords = [
+            'var', 'int', 'float', 'string', 'bool', 'array', 'object', 'any',
+            'if', 'elif', 'else', 'while', 'for', 'return', 'break', 'continue',
+            'class', 'fun', 'this', 'and', 'or', 'not', 'in', 'new', 'match',
+            'case', 'default', 'use', 'using', 'true', 'false', 'nil',
+            'try', 'catch', 'finally', 'throw'
+        ];
+        return keywords.includes(value);
+    }
 
-            if (char === '/' && input[current + 1] === '*') {
-                // Multi-line comment
-                current += 2; // Skip /*
-                while (current < input.length - 1 && 
-                      !(input[current] === '*' && input[current + 1] === '/')) {
-                    current++;
-                }
-                current += 2; // Skip */
-                continue;
+    // Parse input into a Program node; syntax errors are left in `this.errors`.
+    // With `options.trivia` the parse is lossless: see attachTrivia.
+    parse(input, options = {}) {
+        this.options = options;
+        this.input = input || '';
+        this.errors = [];
+        this.tokenErrors = [];
+        this.chunks = [];
+        if (!input || input.trim() === '') {
+            this.tokens = [];
+            const program = {
+                type: 'Program',
+                body: [],
+                start: 0,
+                end: input ? input.length : 0
+            };
+            if (options.trivia) {
+                program.trailingTrivia = this.scanTrivia(input || '', 0, program.end);
             }
+            this.program = program;
+            return program;
+        }
+        
+        this.tokens = this.reportErrorTokens(this.tokenize(input), this.tokenErrors);
+        this.position = 0;
+        const eofTrivia = options.trivia ? this.attachTrivia(input, this.tokens) : null;
 
-            // Strings
-            if (char === '"' || char === "'") {
-                const start = current;
-                const quote = char;
-                current++; // Skip opening quote
-
-                while (current < input.length && input[current] !== quote) {
-                    if (input[current] === '\\') {
-                        current += 2; // Skip escape sequence
-                    } else {
-                        current++;
-                    }
-                }
+        while (this.position < this.tokens.length) {
+            this.chunks.push(this.parseChunk());
+        }
 
-                if (current >= input.length) {
-                    throw new Error(`Unterminated string at position ${start}`);
-                }
+        const program = this.buildProgram(input);
+        if (eofTrivia) {
+            program.trailingTrivia = eofTrivia;
+            this.attachComments(program);
+        }
+        return program;
+    }
 
-                current++; // Skip closing quote
-                tokens.push({
-                    type: 'STRING',
-                    value: input.slice(start, current),
-                    start: start,
-                    end: current
-                });
-                continue;
+    // Reparse after an edit, reusing the tokens and top-level statements of the previous
+    // parse that lie outside the changed region. Produces the same tree and errors as
+    // `parse(input)`; nodes and tokens of the previous result are shifted in place, so the
+    // previous result must not be used afterwards.
+    reparse(input) {
+        const previousInput = this.input;
+        if (!this.program || this.options.trivia || !input || input.trim() === '' || this.chunks.length === 0) {
+            return this.parse(input, this.options);
+        }
+        if (input === previousInput) {
+            return this.program;
+        }
+
+        // The edit replaced previousInput[editStart, oldEditEnd) with input[editStart, newEditEnd)
+        const shortest = Math.min(previousInput.length, input.length);
+        let editStart = 0;
+        while (editStart < shortest && previousInput[editStart] === input[editStart]) {
+            editStart++;
+        }
+        let suffixLength = 0;
+        while (suffixLength < shortest - editStart &&
+               previousInput[previousInput.length - 1 - suffixLength] === input[input.length - 1 - suffixLength]) {
+            suffixLength++;
+        }
+        const oldEditEnd = previousInput.length - suffixLength;
+        const delta = input.length - previousInput.length;
+
+        // Keep the statements that end before the edit, except the last one: the edit may extend it.
+        // The edit may terminate an unterminated string or comment (a comment is scanned to the
+        // end of the input); relex from before the first one.
+        const reuseLimit = this.tokenErrors.length > 0 ? Math.min(editStart, this.tokenErrors[0].start) : editStart;
+        let kept = 0;
+        while (kept < this.chunks.length && this.chunks[kept].end < reuseLimit) {
+            kept++;
+        }
+        kept = Math.max(0, kept - 1);
+        const firstToken = kept < this.chunks.length ? this.chunks[kept].firstToken : this.tokens.length;
+        const regionStart = firstToken > 0 ? this.tokens[firstToken - 1].end : 0;
+
+        // Index old tokens after the edit by start offset; once relexing reaches one of them
+        // the rest of the token stream is unchanged apart from its offsets
+        const suffixTokens = new Map();
+        for (let i = this.tokens.length - 1; i >= firstToken && this.tokens[i].start >= oldEditEnd; i--) {
+            suffixTokens.set(this.tokens[i].start, i);
+        }
+        let resumeToken = this.tokens.length;
+        const middle = this.tokenize(input, regionStart, input.length, (position) => {
+            if (position - delta < oldEditEnd || !suffixTokens.has(position - delta)) {
+                return false;
             }
+            resumeToken = suffixTokens.get(position - delta);
+            return true;
+        });
 
-            // Numbers (int and float), including negative numbers
-            if (/[0-9]/.test(char)) {
-                const start = current;
-                while (current < input.length && /[0-9.]/.test(input[current])) {
-                    current++;
-                }
-                tokens.push({
-                    type: 'NUMBER',
-                    value: input.slice(start, current),
-                    start: start,
-                    end: current
-                });
-                continue;
-            }
-            
-            // Handle negative numbers (when '-' is followed by a digit)
-            if (char === '-' && current + 1 < input.length && /[0-9]/.test(input[current + 1])) {
-                const start = current;  // Include the minus sign
-                current++;  // Skip the minus sign
-                while (current < input.length && /[0-9.]/.test(input[current])) {
-                    current++;
-                }
-                tokens.push({
-                    type: 'NUMBER',
-                    value: input.slice(start, current),  // Include the minus sign in the number
-                    start: start,
-                    end: current
-                });
-                continue;
+        const tokenErrors = this.tokenErrors.filter(error => error.start < regionStart);
+        const middleTokens = this.reportErrorTokens(middle, tokenErrors);
+        const resumeOffset = resumeToken < this.tokens.length ? this.tokens[resumeToken].start : previousInput.length;
+        for (const error of this.tokenErrors) {
+            if (error.start >= resumeOffset) {
+                tokenErrors.push(this.shiftError(error, delta));
             }
+        }
 
-            // Identifiers and keywords
-            if (/[a-zA-Z_$]/.test(char)) {
-                const start = current;
-                while (current < input.length && /[a-zA-Z0-9_$]/.test(input[current])) {
-                    current++;
+        const tail = this.tokens.slice(resumeToken);
+        this.shiftOffsets(tail, delta);
+        const tokenShift = firstToken + middleTokens.length - resumeToken;
+        this.tokens = this.tokens.slice(0, firstToken).concat(middleTokens, tail);
+        this.tokenErrors = tokenErrors;
+
+        // Old statements that start at or after the resumed tokens can be spliced back in as
+        // soon as parsing reaches the token they begin at
+        const reusable = new Map();
+        for (let i = this.chunks.length - 1; i >= kept && this.chunks[i].firstToken >= resumeToken; i--) {
+            reusable.set(this.chunks[i].firstToken + tokenShift, i);
+        }
+
+        const chunks = this.chunks.slice(0, kept);
+        this.position = firstToken;
+        this.errors = [];
+        while (this.position < this.tokens.length) {
+            if (reusable.has(this.position)) {
+                for (const chunk of this.chunks.slice(reusable.get(this.position))) {
+                    this.shiftOffsets(chunk.node, delta);
+                    for (const error of chunk.errors) {
+                        this.shiftError(error, delta);
+                    }
+                    chunk.firstToken += tokenShift;
+                    chunk.lastToken += tokenShift;
+                    chunk.start += delta;
+                    chunk.end += delta;
+                    chunks.push(chunk);
                 }
-                const value = input.slice(start, current);
-                
-                const type = this.isKeyword(value) ? 'KEYWORD' : 'IDENTIFIER';
-                tokens.push({
-                    type: type,
-                    value: value,
-                    start: start,
-                    end: current
-                });
-                continue;
+                break;
             }
+            chunks.push(this.parseChunk());
+        }
+        this.chunks = chunks;
 
-            // Two-character operators
-            if (char === '=' && input[current + 1] === '=') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: '==',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
-            }
+        return this.buildProgram(input);
+    }
 
-            if (char === '!' && input[current + 1] === '=') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: '!=',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
-            }
+    // Parse one top-level statement, remembering the tokens it consumed and the errors it
+    // reported so `reparse` can reuse it
+    parseChunk() {
+        const firstToken = this.position;
+        const errorCount = this.errors.length;
+        const node = this.parseStatement();
+        this.skipStrayToken(firstToken);
+        const errors = this.errors.slice(errorCount);
+        // Some errors highlight up to the end of the line, past the last token
+        let end = this.tokens[this.position - 1].end;
+        for (const error of errors) {
+            end = Math.max(end, error.end);
+        }
+        return {
+            node: node,
+            firstToken: firstToken,
+            lastToken: this.position,
+            start: this.tokens[firstToken].start,
+            end: end,
+            errors: errors
+        };
+    }
 
-            if (char === '>' && input[current + 1] === '=') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: '>=',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
+    buildProgram(input) {
+        this.errors = this.tokenErrors.slice();
+        const body = [];
+        for (const chunk of this.chunks) {
+            if (chunk.node) {
+                body.push(chunk.node);
             }
+            this.errors.push(...chunk.errors);
+        }
 
-            if (char === '<' && input[current + 1] === '=') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: '<=',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
-            }
+        this.program = {
+            type: 'Program',
+            body: body,
+            start: 0,
+            end: input.length
+        };
+        return this.program;
+    }
 
-            if (char === '&' && input[current + 1] === '&') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: 'and',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
+    // Add `delta` to every `start`/`end` offset in a node, token or error (and everything they contain)
+    shiftOffsets(value, delta, seen = new Set()) {
+        if (!value || typeof value !== 'object' || delta === 0 || seen.has(value)) {
+            return value;
+        }
+        seen.add(value);
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                this.shiftOffsets(item, delta, seen);
             }
-
-            if (char === '|' && input[current + 1] === '|') {
-                tokens.push({
-                    type: 'OPERATOR',
-                    value: 'or',
-                    start: current,
-                    end: current + 2
-                });
-                current += 2;
-                continue;
+            return value;
+        }
+        for (const key in value) {
+            if ((key === 'start' || key === 'end') && typeof value[key] === 'number') {
+                value[key] += delta;
+            } else {
+                this.shiftOffsets(value[key], delta, seen);
             }
-
-            // Single-character tokens
-            tokens.push({
-                type: 'SYMBOL',
-                value: char,
-                start: current,
-                end: current + 1
-            });
-            current++;
         }
-
-        return tokens;
+        return value;
     }
-
-    isKeyword(value) {
-        const keywords = [
-            'var', 'int', 'float', 'string', 'bool', 'array', 'object', 'any',
-            'if', 'elif', 'else', 'while', 'for', 'return', 'break', 'continue',
-            'class', 'fun', 'this', 'and', 'or', 'not', 'in', 'new', 'match',
-            'case', 'default', 'use', 'using', 'true', 'false', 'nil'
-        ];
-        return keywords.includes(value);
+    
+    shiftError(error, delta) {
+        this.shiftOffsets(error, delta);
+        error.message = error.message.replace(/at position (\d+)$/, (match, position) => `at position ${Number(position) + delta}`);
+        return error;
     }
 
-    // Parse tokens into an AST
-    parse(input) {
-        if (!input || input.trim() === '') {
-            return {
-                type: 'Program',
-                body: []
-            };
-        }
-        
-        this.tokens = this.tokenize(input);
-        this.position = 0;
-        const statements = [];
-
-        while (this.position < this.tokens.length) {
-            const stmt = this.parseStatement();
-            if (stmt) {
-                statements.push(stmt);
+    // Turn ERROR tokens from the tokenizer into diagnostics and drop them from the stream
+    reportErrorTokens(tokens, errors = this.errors) {
+        const valid = [];
+        for (const token of tokens) {
+            if (token.type === 'ERROR') {
+                errors.push({
+                    message: token.message,
+                    start: token.start,
+                    end: token.end
+                });
+            } else {
+                valid.push(token);
             }
         }
-
-        return {
-            type: 'Program',
-            body: statements,
-            errors: this.errors  // Include any syntax errors found
-        };
+        return valid;
+    }
+    
+    // Build an error positioned at `node` (by default the current token, or the end of input)
+    syntaxError(message, node = this.currentToken()) {
+        let start;
+        let end;
+        if (node) {
+            start = node.start;
+            end = node.end;
+        } else {
+            const last = this.tokens[this.tokens.length - 1];
+            start = last ? last.end : 0;
+            end = start;
+        }
+        const error = new Error(`${message} at position ${start}`);
+        error.start = start;
+        error.end = end;
+        return error;
     }
     
     addError(message, start, end) {
@@ -243,6 +280,10 @@ class NeutronParser {
         });
     }
     
+    isLineBreak(char) {
+        return char === '\n' || char === '\r';
+    }
+
     findEndOfLine(pos) {
         // Find the end of the line containing the given position
         for (let i = pos; i < this.input.length; i++) {
@@ -254,13 +295,18 @@ class NeutronParser {
         return this.input.length;
     }
     
-    // Set the input for the findEndOfLine method to work properly
-    tokenize(input) {
+    // Tokenize the input text. `from`/`limit` restrict scanning to a slice of the input
+    // (used for `${...}` interpolations) while keeping offsets absolute. Scanning stops early
+    // at the first offset for which `stopAt` returns true.
+    tokenize(input, from = 0, limit = input.length, stopAt = null) {
         this.input = input; // Store input so findEndOfLine can access it
         const tokens = [];
-        let current = 0;
+        let current = from;
 
-        while (current < input.length) {
+        while (current < limit) {
+            if (stopAt && stopAt(current)) {
+                break;
+            }
             let char = input[current];
 
             // Skip whitespace
@@ -272,7 +318,7 @@ class NeutronParser {
             // Comments
             if (char === '/' && input[current + 1] === '/') {
                 // Single line comment
-                while (current < input.length && input[current] !== '\n') {
+                while (current < limit && input[current] !== '\n') {
                     current++;
                 }
                 continue;
@@ -280,11 +326,23 @@ class NeutronParser {
 
             if (char === '/' && input[current + 1] === '*') {
                 // Multi-line comment
+                const start = current;
                 current += 2; // Skip /*
-                while (current < input.length - 1 && 
+                while (current < limit - 1 && 
                       !(input[current] === '*' && input[current + 1] === '/')) {
                     current++;
                 }
+                if (current >= limit - 1) {
+                    tokens.push({
+                        type: 'ERROR',
+                        value: input.slice(start, start + 2),
+                        message: 'Unterminated block comment',
+                        start: start,
+                        end: start + 2
+                    });
+                    current = limit;
+                    continue;
+                }
                 current += 2; // Skip */
                 continue;
             }
@@ -293,21 +351,51 @@ class NeutronParser {
             if (char === '"' || char === "'") {
                 const start = current;
                 const quote = char;
+                const interpolations = [];
                 current++; // Skip opening quote
 
-                while (current < input.length && input[current] !== quote) {
-                    if (input[current] === '\\') {
+                // A string ends at the end of its line, so an unclosed quote cannot pair up with a
+                // quote on a later line and turn the rest of the file inside out
+                while (current < limit && input[current] !== quote && !this.isLineBreak(input[current])) {
+                    if (input[current] === '\\' && !this.isLineBreak(input[current + 1])) {
                         current += 2; // Skip escape sequence
+                    } else if (input[current] === '$' && input[current + 1] === '{') {
+                        const interpolation = this.scanInterpolation(input, current, quote, limit);
+                        interpolations.push(interpolation);
+                        current = interpolation.end;
                     } else {
                         current++;
                     }
                 }
 
-                if (current >= input.length) {
-                    throw new Error(`Unterminated string at position ${start}`);
+                if (input[current] !== quote) {
+                    // Report the rest of the line as an error token and keep tokenizing on the
+                    // next line, so one unterminated string does not swallow the whole document
+                    const lineEnd = current;
+                    tokens.push({
+                        type: 'ERROR',
+                        value: input.slice(start, lineEnd),
+                        message: 'Unterminated string',
+                        start: start,
+                        end: lineEnd
+                    });
+                    current = lineEnd;
+                    continue;
                 }
 
                 current++; // Skip closing quote
+
+                if (interpolations.length > 0) {
+                    tokens.push({
+                        type: 'TEMPLATE',
+                        value: input.slice(start, current),
+                        interpolations: interpolations,
+                        start: start,
+                        end: current
+                    });
+                    continue;
+                }
+
                 tokens.push({
                     type: 'STRING',
                     value: input.slice(start, current),
@@ -317,12 +405,29 @@ class NeutronParser {
                 continue;
             }
 
-            // Numbers (int and float), including negative numbers
-            if (/[0-9]/.test(char)) {
+            // Numbers: 42, 3.14, 1., .5, 6.022E23, 1.23e-4. A minus sign is never part of the
+            // literal; the parser reads it as a unary operator.
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(input[current + 1] || ''))) {
                 const start = current;
-                while (current < input.length && /[0-9.]/.test(input[current])) {
-                    current++;
+                const numberPattern = /(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/y;
+                numberPattern.lastIndex = current;
+                numberPattern.exec(input);
+                current = Math.min(numberPattern.lastIndex, limit);
+
+                // Anything number-like glued to the literal (1.2.3, 1e, 2x) makes it malformed
+                if (current < limit && /[0-9a-zA-Z_$.]/.test(input[current])) {
+                    while (current < limit && /[0-9a-zA-Z_$.]/.test(input[current])) {
+                        current++;
+                    }
+                    tokens.push({
+                        type: 'ERROR',
+                        value: input.slice(start, current),
+                        message: `Malformed number '${input.slice(start, current)}'`,
+                        start: start,
+                        end: current
+                    });
                 }
+
                 tokens.push({
                     type: 'NUMBER',
                     value: input.slice(start, current),
@@ -331,27 +436,11 @@ class NeutronParser {
                 });
                 continue;
             }
-            
-            // Handle negative numbers (when '-' is followed by a digit)
-            if (char === '-' && current + 1 < input.length && /[0-9]/.test(input[current + 1])) {
-                const start = current;  // Include the minus sign
-                current++;  // Skip the minus sign
-                while (current < input.length && /[0-9.]/.test(input[current])) {
-                    current++;
-                }
-                tokens.push({
-                    type: 'NUMBER',
-                    value: input.slice(start, current),  // Include the minus sign in the number
-                    start: start,
-                    end: current
-                });
-                continue;
-            }
 
             // Identifiers and keywords
             if (/[a-zA-Z_$]/.test(char)) {
                 const start = current;
-                while (current < input.length && /[a-zA-Z0-9_$]/.test(input[current])) {
+                while (current < limit && /[a-zA-Z0-9_$]/.test(input[current])) {
                     current++;
                 }
                 const value = input.slice(start, current);
@@ -411,6 +500,17 @@ class NeutronParser {
                 continue;
             }
 
+            if (char === '=' && input[current + 1] === '>') {
+                tokens.push({
+                    type: 'OPERATOR',
+                    value: '=>',
+                    start: current,
+                    end: current + 2
+                });
+                current += 2;
+                continue;
+            }
+
             if (char === '&' && input[current + 1] === '&') {
                 tokens.push({
                     type: 'OPERATOR',
@@ -446,6 +546,154 @@ class NeutronParser {
         return tokens;
     }
 
+    // Lossless mode: give every token its source `text` plus `leadingTrivia` and
+    // `trailingTrivia`. Trailing trivia runs to the end of the token's line (excluding the
+    // newline); everything else up to the next token leads it. Returns the trivia after the
+    // last token, which belongs to the Program.
+    attachTrivia(input, tokens) {
+        let previous = null;
+        let current = 0;
+        for (const token of tokens) {
+            if (previous) {
+                let lineEnd = current;
+                while (lineEnd < token.start && input[lineEnd] !== '\n' && input[lineEnd] !== '\r') {
+                    lineEnd++;
+                }
+                previous.trailingTrivia = this.scanTrivia(input, current, lineEnd);
+                current = previous.trailingTrivia.length > 0 ? previous.trailingTrivia[previous.trailingTrivia.length - 1].end : current;
+            }
+            token.text = input.slice(token.start, token.end);
+            token.leadingTrivia = this.scanTrivia(input, current, token.start);
+            previous = token;
+            current = token.end;
+        }
+
+        if (!previous) {
+            return this.scanTrivia(input, 0, input.length);
+        }
+        let lineEnd = current;
+        while (lineEnd < input.length && input[lineEnd] !== '\n' && input[lineEnd] !== '\r') {
+            lineEnd++;
+        }
+        previous.trailingTrivia = this.scanTrivia(input, current, lineEnd);
+        const trailingEnd = previous.trailingTrivia.length > 0 ? previous.trailingTrivia[previous.trailingTrivia.length - 1].end : current;
+        return this.scanTrivia(input, trailingEnd, input.length);
+    }
+
+    // Split the text between two tokens into trivia pieces: Whitespace, Newline, LineComment,
+    // BlockComment, and Skipped for text the tokenizer rejected (e.g. an unterminated string).
+    // A block comment may run past `end`, in which case the piece extends to cover it.
+    scanTrivia(input, start, end) {
+        const trivia = [];
+        let current = start;
+        const push = (kind, pieceEnd) => {
+            trivia.push({ kind: kind, text: input.slice(current, pieceEnd), start: current, end: pieceEnd });
+            current = pieceEnd;
+        };
+
+        while (current < end) {
+            const char = input[current];
+            let pieceEnd = current + 1;
+            if (char === '\r' && input[current + 1] === '\n') {
+                push('Newline', current + 2);
+            } else if (char === '\n' || char === '\r') {
+                push('Newline', pieceEnd);
+            } else if (/\s/.test(char)) {
+                while (pieceEnd < end && /\s/.test(input[pieceEnd]) && input[pieceEnd] !== '\n' && input[pieceEnd] !== '\r') {
+                    pieceEnd++;
+                }
+                push('Whitespace', pieceEnd);
+            } else if (char === '/' && input[current + 1] === '/') {
+                while (pieceEnd < end && input[pieceEnd] !== '\n' && input[pieceEnd] !== '\r') {
+                    pieceEnd++;
+                }
+                push('LineComment', pieceEnd);
+            } else if (char === '/' && input[current + 1] === '*') {
+                const close = input.indexOf('*/', current + 2);
+                push('BlockComment', close === -1 ? input.length : close + 2);
+            } else {
+                while (pieceEnd < end && !/\s/.test(input[pieceEnd]) && !input.startsWith('//', pieceEnd) && !input.startsWith('/*', pieceEnd)) {
+                    pieceEnd++;
+                }
+                push('Skipped', pieceEnd);
+            }
+        }
+        return trivia;
+    }
+
+    // Lossless mode: copy the comments leading each statement and class member onto the node
+    // as `leadingComments`, so doc comments travel with the declaration they precede.
+    attachComments(program) {
+        const tokensByStart = new Map();
+        for (const token of this.tokens) {
+            tokensByStart.set(token.start, token);
+        }
+
+        const attach = (nodes) => {
+            for (const node of nodes) {
+                const token = node && tokensByStart.get(node.start);
+                if (!token) continue;
+                const comments = token.leadingTrivia.filter(piece => piece.kind === 'LineComment' || piece.kind === 'BlockComment');
+                if (comments.length > 0) {
+                    node.leadingComments = comments;
+                }
+            }
+        };
+
+        walk(program, (node) => {
+            if (node.type === 'Program' || node.type === 'BlockStatement') {
+                attach(node.body);
+            } else if (node.type === 'ClassDeclaration') {
+                attach(node.fields);
+                attach(node.methods);
+            }
+        });
+    }
+
+    // Scan a `${...}` interpolation starting at `start` (the '$'), honouring nested braces.
+    // Nested strings must use the other quote kind; the enclosing quote always ends the string.
+    scanInterpolation(input, start, quote, limit) {
+        let current = start + 2; // Skip '${'
+        let depth = 1;
+
+        while (current < limit && input[current] !== quote && !this.isLineBreak(input[current])) {
+            const char = input[current];
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    const tokens = this.tokenize(input, start + 2, current);
+                    return {
+                        tokens: tokens,
+                        start: start,
+                        end: current + 1,
+                        terminated: true
+                    };
+                }
+            } else if (char === '"' || char === "'") {
+                // Skip a nested string literal of the other quote kind
+                current++;
+                while (current < limit && input[current] !== char && input[current] !== quote &&
+                       !this.isLineBreak(input[current])) {
+                    current += input[current] === '\\' && !this.isLineBreak(input[current + 1]) ? 2 : 1;
+                }
+                if (input[current] === quote || this.isLineBreak(input[current])) {
+                    break;
+                }
+            }
+            current++;
+        }
+
+        // No closing brace before the string ended
+        return {
+            tokens: this.tokenize(input, start + 2, current),
+            start: start,
+            end: current,
+            terminated: false
+        };
+    }
+
     parseStatement() {
         const token = this.currentToken();
         if (!token) return null;
@@ -455,26 +703,60 @@ class NeutronParser {
                 return this.parseVariableDeclaration();
             } else if (token.value === 'if') {
                 return this.parseIfStatement();
+            } else if (token.value === 'elif') {
+                // Report the orphan but still parse it so its condition and body get checked
+                this.addError(`'elif' without a preceding 'if'`, token.start, token.end);
+                return this.parseIfStatement();
             } else if (token.value === 'while') {
                 return this.parseWhileStatement();
             } else if (token.value === 'for') {
                 return this.parseForStatement();
+            } else if (token.value === 'fun' && this.peekToken() && this.peekToken().value === '(') {
+                // Anonymous function used as a statement, e.g. an immediately invoked lambda
+                return this.parseExpressionStatement();
             } else if (token.value === 'fun') {
                 return this.parseFunctionDeclaration();
             } else if (token.value === 'class') {
                 return this.parseClassDeclaration();
             } else if (token.value === 'return') {
                 return this.parseReturnStatement();
-            } else if (token.type === 'IDENTIFIER') {
+            } else if (token.value === 'break' || token.value === 'continue') {
+                return this.parseJumpStatement();
+            } else if (token.value === 'match') {
+                return this.parseMatchStatement();
+            } else if (token.value === 'try') {
+                return this.parseTryStatement();
+            } else if (token.value === 'throw') {
+                return this.parseThrowStatement();
+            } else if (token.value === 'catch' || token.value === 'finally') {
+                // Report the orphan but still parse it so its body gets checked
+                this.addError(`'${token.value}' without a preceding 'try'`, token.start, token.end);
+                return token.value === 'catch' ? this.parseCatchClause() : this.parseFinallyClause();
+            } else if (token.value === 'use') {
+                return this.parseUseDeclaration();
+            } else if (token.value === 'using') {
+                return this.parseUsingDeclaration();
+            } else if (token.type === 'IDENTIFIER' || token.value === 'this') {
+                return this.parseExpressionStatement();
+            } else if (['(', '[', '-', '!', 'not', 'true', 'false', 'nil'].includes(token.value) ||
+                       ['NUMBER', 'STRING', 'TEMPLATE'].includes(token.type)) {
+                // Other expressions used as statements, e.g. (fun(a) { say(a); })(1);
                 return this.parseExpressionStatement();
+            } else if (token.value === '{') {
+                // A bare block; this also keeps braces balanced after a broken statement header
+                return this.parseBlock();
             } else {
-                // Skip to the next statement (look for ; or newline equivalent)
+                // Nothing can start with this token: report it, then skip to the next statement
+                this.addError(`Unexpected token '${token.value}'`, token.start, token.end);
+                this.nextToken();
                 this.skipToNextStatement();
                 return null;
             }
         } catch (e) {
-            // If there's a parsing error, add it to our errors and try to recover
-            this.addError(e.message, token.start, token.end);
+            // If there's a parsing error, add it to our errors at the offending token and try to recover
+            const start = e.start !== undefined ? e.start : token.start;
+            const end = e.end !== undefined ? e.end : token.end;
+            this.addError(e.message, start, end);
             this.skipToNextStatement();
             return null;
         }
@@ -490,44 +772,98 @@ class NeutronParser {
             } else if (token.value === '}' || token.value === '{') {
                 // We've reached block boundaries, return to let higher level handle
                 return;
-            } else if (this.isStatementStart(token)) {
-                // We've reached the start of the next statement
+            } else if (this.isStatementStart(token) && (token.type === 'KEYWORD' || this.atLineStart())) {
+                // We've reached the start of the next statement. Identifiers only count at the
+                // start of a line, so `say(a b c)` is skipped as a whole instead of piecewise
                 return;
             }
             this.nextToken();
         }
     }
     
+    // Whether the current token is the first one on its line
+    atLineStart() {
+        const token = this.currentToken();
+        const previous = this.previousToken();
+        return !previous || /[\r\n]/.test(this.input.slice(previous.end, token.start));
+    }
+    
+    // Report and skip a token that no statement could consume, so callers never loop forever
+    skipStrayToken(startPosition) {
+        const token = this.currentToken();
+        if (this.position === startPosition && token) {
+            this.addError(`Unexpected token '${token.value}'`, token.start, token.end);
+            this.nextToken();
+        }
+    }
+    
     // Helper method to check if a token starts a statement
     isStatementStart(token) {
-        const statementStarters = ['var', 'if', 'while', 'for', 'fun', 'class', 'return'];
-        return statementStarters.includes(token.value) || token.type === 'IDENTIFIER';
+        const statementStarters = [
+            'var', 'if', 'elif', 'while', 'for', 'fun', 'class', 'return', 'break', 'continue',
+            'match', 'use', 'using', 'try', 'throw'
+        ];
+        return statementStarters.includes(token.value) || token.type === 'IDENTIFIER' || token.value === 'this';
     }
 
     parseVariableDeclaration() {
         const startToken = this.currentToken();
         this.nextToken(); // skip 'var'
 
-        // Check if there's a type annotation
+        // A type annotation is a builtin type keyword (var int x), or a class name followed by the
+        // variable name (var Person p)
         let declaredType = null;
-        if (this.currentToken() && this.isTypeKeyword(this.currentToken().value)) {
-            declaredType = this.currentToken().value;
+        let typeId = null;
+        const current = this.currentToken();
+        const next = this.peekToken();
+        if (current && (this.isTypeKeyword(current.value) ||
+            (current.type === 'IDENTIFIER' && next && next.type === 'IDENTIFIER'))) {
+            const typeToken = this.currentToken();
+            declaredType = typeToken.value;
+            typeId = {
+                type: 'Identifier',
+                name: typeToken.value,
+                start: typeToken.start,
+                end: typeToken.end
+            };
             this.nextToken(); // skip type
         }
 
         if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
-            throw new Error(`Expected identifier at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected identifier`);
         }
 
         const name = this.currentToken().value;
         const nameToken = this.currentToken();
+        const id = {
+            type: 'Identifier',
+            name: name,
+            start: nameToken.start,
+            end: nameToken.end
+        };
         this.nextToken(); // skip identifier
 
         // Check if there's an assignment
         let init = null;
         if (this.currentToken() && this.currentToken().value === '=') {
             this.nextToken(); // skip '='
-            init = this.parseExpression();
+            try {
+                init = this.parseExpression();
+            } catch (e) {
+                // Keep the declaration so the variable is still known; only the initializer is lost
+                this.addError(e.message, e.start, e.end);
+                this.skipToNextStatement();
+                return {
+                    type: 'VariableDeclaration',
+                    declaredType: declaredType,
+                    typeId: typeId,
+                    name: name,
+                    id: id,
+                    init: null,
+                    start: startToken.start,
+                    end: this.previousToken().end
+                };
+            }
         }
 
         // Check for semicolon after variable declaration
@@ -536,10 +872,12 @@ class NeutronParser {
             return {
                 type: 'VariableDeclaration',
                 declaredType: declaredType,
+                typeId: typeId,
                 name: name,
+                id: id,
                 init: init,
                 start: startToken.start,
-                end: this.currentToken() ? this.currentToken().start : nameToken.end + 1  // +1 for the semicolon character
+                end: this.previousToken().end
             };
         } else {
             // Find the end of the current line to highlight the entire line
@@ -550,10 +888,12 @@ class NeutronParser {
             return {
                 type: 'VariableDeclaration',
                 declaredType: declaredType,
+                typeId: typeId,
                 name: name,
+                id: id,
                 init: init,
                 start: startToken.start,
-                end: nameToken.end
+                end: this.previousToken().end
             };
         }
     }
@@ -562,19 +902,21 @@ class NeutronParser {
         return ['int', 'float', 'string', 'bool', 'array', 'object', 'any'].includes(value);
     }
 
+    // Parses `if` as well as each `elif` of a chain, which becomes a nested alternate IfStatement
     parseIfStatement() {
         const startToken = this.currentToken();
-        this.nextToken(); // skip 'if'
+        const keyword = startToken.value;
+        this.nextToken(); // skip 'if' or 'elif'
 
         if (!this.currentToken() || this.currentToken().value !== '(') {
-            throw new Error(`Expected '(' after 'if' at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '(' after '${keyword}'`);
         }
 
         this.nextToken(); // skip '('
         const test = this.parseExpression();
         
         if (!this.currentToken() || this.currentToken().value !== ')') {
-            throw new Error(`Expected ')' after if condition at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ')' after ${keyword} condition`);
         }
 
         this.nextToken(); // skip ')'
@@ -582,10 +924,12 @@ class NeutronParser {
         const consequent = this.parseBlock();
 
         let alternate = null;
-        if (this.currentToken() && this.currentToken().value === 'else') {
+        if (this.currentToken() && this.currentToken().value === 'elif') {
+            alternate = this.parseIfStatement();
+        } else if (this.currentToken() && this.currentToken().value === 'else') {
             this.nextToken(); // skip 'else'
             if (this.currentToken() && this.currentToken().value === 'if') {
-                // Handle elif
+                // Handle else if
                 alternate = this.parseIfStatement();
             } else {
                 alternate = this.parseBlock();
@@ -598,36 +942,46 @@ class NeutronParser {
             consequent: consequent,
             alternate: alternate,
             start: startToken.start,
-            end: this.currentToken() ? this.currentToken().end : startToken.end
+            end: this.previousToken().end
         };
     }
 
     parseBlock() {
         if (this.currentToken() && this.currentToken().value === '{') {
+            const startToken = this.currentToken();
             this.nextToken(); // skip '{'
             const body = [];
 
             while (this.position < this.tokens.length && this.currentToken().value !== '}') {
+                const startPosition = this.position;
                 const stmt = this.parseStatement();
                 if (stmt) {
                     body.push(stmt);
                 }
+                this.skipStrayToken(startPosition);
             }
 
-            if (this.currentToken()) {
+            if (!this.currentToken()) {
+                // Everything after the '{' was read into this block
+                this.addError(`Expected '}' to close block`, startToken.start, startToken.end);
+            } else {
                 this.nextToken(); // skip '}'
             }
 
             return {
                 type: 'BlockStatement',
-                body: body
+                body: body,
+                start: startToken.start,
+                end: this.previousToken().end
             };
         } else {
             // Single statement block
             const stmt = this.parseStatement();
             return {
                 type: 'BlockStatement',
-                body: [stmt]
+                body: [stmt],
+                start: stmt ? stmt.start : undefined,
+                end: stmt ? stmt.end : undefined
             };
         }
     }
@@ -637,14 +991,14 @@ class NeutronParser {
         this.nextToken(); // skip 'while'
 
         if (!this.currentToken() || this.currentToken().value !== '(') {
-            throw new Error(`Expected '(' after 'while' at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '(' after 'while'`);
         }
 
         this.nextToken(); // skip '('
         const test = this.parseExpression();
         
         if (!this.currentToken() || this.currentToken().value !== ')') {
-            throw new Error(`Expected ')' after while condition at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ')' after while condition`);
         }
 
         this.nextToken(); // skip ')'
@@ -656,7 +1010,7 @@ class NeutronParser {
             test: test,
             body: body,
             start: startToken.start,
-            end: this.currentToken() ? this.currentToken().end : startToken.end
+            end: this.previousToken().end
         };
     }
 
@@ -665,42 +1019,43 @@ class NeutronParser {
         this.nextToken(); // skip 'for'
 
         if (!this.currentToken() || this.currentToken().value !== '(') {
-            throw new Error(`Expected '(' after 'for' at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '(' after 'for'`);
         }
 
         this.nextToken(); // skip '('
         
         let init = null;
-        if (this.currentToken().value !== ';') {
-            if (this.currentToken().value === 'var') {
-                init = this.parseVariableDeclaration();
-            } else {
-                init = this.parseExpression();
+        if (this.currentToken() && this.currentToken().value === 'var') {
+            // The declaration consumes its own ';'
+            init = this.parseVariableDeclaration();
+        } else {
+            if (this.currentToken() && this.currentToken().value !== ';') {
+                init = this.parseForClause();
             }
+            
+            if (!this.currentToken() || this.currentToken().value !== ';') {
+                throw this.syntaxError(`Expected ';' after for init`);
+            }
+            this.nextToken(); // skip ';'
         }
         
-        if (!this.currentToken() || this.currentToken().value !== ';') {
-            throw new Error(`Expected ';' after for init at position ${this.currentToken().start}`);
-        }
-        this.nextToken(); // skip ';'
-        
         let test = null;
-        if (this.currentToken().value !== ';') {
+        if (this.currentToken() && this.currentToken().value !== ';') {
             test = this.parseExpression();
         }
         
         if (!this.currentToken() || this.currentToken().value !== ';') {
-            throw new Error(`Expected ';' after for test at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ';' after for test`);
         }
         this.nextToken(); // skip ';'
         
         let update = null;
-        if (this.currentToken().value !== ')') {
-            update = this.parseExpression();
+        if (this.currentToken() && this.currentToken().value !== ')') {
+            update = this.parseForClause();
         }
         
         if (!this.currentToken() || this.currentToken().value !== ')') {
-            throw new Error(`Expected ')' after for update at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ')' after for update`);
         }
         this.nextToken(); // skip ')'
 
@@ -713,25 +1068,23 @@ class NeutronParser {
             update: update,
             body: body,
             start: startToken.start,
-            end: this.currentToken() ? this.currentToken().end : startToken.end
+            end: this.previousToken().end
         };
     }
 
-    parseExpression() {
-        return this.parseLogicalOr();
-    }
-    
-    // Check if we're at the start of a potential function call after an expression
-    checkForPossibleFunctionCallAfterExpression(expr) {
-        // After parsing an expression like 'fmt.type', if the next token is '('
-        // it should be part of a function call, not a separate statement
-        if (expr && expr.type === 'MemberExpression' && this.currentToken() && this.currentToken().value === '(') {
-            // This looks like it should be a function call
-            return this.parseCallExpression(expr);
+    // An init or update clause of a for header, which is usually an assignment (i = i + 1)
+    parseForClause() {
+        const expr = this.parseExpression();
+        if (this.currentToken() && this.currentToken().value === '=') {
+            return this.parseAssignmentExpression(expr, false);
         }
         return expr;
     }
 
+    parseExpression() {
+        return this.parseLogicalOr();
+    }
+    
     parseLogicalOr() {
         let expr = this.parseLogicalAnd();
 
@@ -821,6 +1174,7 @@ class NeutronParser {
                (this.currentToken().value === '+' || this.currentToken().value === '-')) {
             const opToken = this.currentToken();
             this.nextToken(); // skip operator
+            this.rejectCompoundAssignment(opToken);
             const right = this.parseMultiplicative();
             expr = {
                 type: 'BinaryExpression',
@@ -842,6 +1196,7 @@ class NeutronParser {
                ['*', '/', '%'].includes(this.currentToken().value)) {
             const opToken = this.currentToken();
             this.nextToken(); // skip operator
+            this.rejectCompoundAssignment(opToken);
             const right = this.parseUnary();
             expr = {
                 type: 'BinaryExpression',
@@ -856,34 +1211,64 @@ class NeutronParser {
         return expr;
     }
 
+    // Neutron has no compound assignment, so `x += 1` gets a clearer error than an unexpected '='
+    rejectCompoundAssignment(opToken) {
+        const next = this.currentToken();
+        if (next && next.value === '=' && next.start === opToken.end) {
+            throw this.syntaxError(`Compound assignment '${opToken.value}=' is not supported. Use 'x = x ${opToken.value} value' instead`,
+                { start: opToken.start, end: next.end });
+        }
+    }
+
     parseUnary() {
-        if (this.currentToken() && this.currentToken().value === 'not') {
-            const opToken = this.currentToken();
-            this.nextToken(); // skip 'not'
+        const token = this.currentToken();
+        if (token && (token.value === 'not' || (token.type === 'SYMBOL' && (token.value === '!' || token.value === '-')))) {
+            const opToken = token;
+            this.nextToken(); // skip operator
             const argument = this.parseUnary();
             return {
                 type: 'UnaryExpression',
-                operator: 'not',
+                operator: opToken.value,
                 argument: argument,
                 start: opToken.start,
                 end: argument.end
             };
         }
 
-        return this.parsePrimary();
+        return this.parsePostfix();
+    }
+
+    // Calls, member access and indexing, chained in any order: ops[0](5), obj.m().n
+    parsePostfix() {
+        let expr = this.parsePrimary();
+
+        while (this.currentToken()) {
+            const value = this.currentToken().value;
+            if (value === '(') {
+                expr = this.parseCallExpression(expr);
+            } else if (value === '.') {
+                expr = this.parseMemberExpression(expr);
+            } else if (value === '[') {
+                expr = this.parseIndexExpression(expr);
+            } else {
+                break;
+            }
+        }
+
+        return expr;
     }
 
     parsePrimary() {
         const token = this.currentToken();
         if (!token) {
-            throw new Error('Unexpected end of input');
+            throw this.syntaxError('Unexpected end of input');
         }
 
         if (token.type === 'NUMBER') {
             this.nextToken();
             return {
                 type: 'Literal',
-                value: Number(token.value),
+                value: parseFloat(token.value),
                 raw: token.value,
                 start: token.start,
                 end: token.end
@@ -901,6 +1286,10 @@ class NeutronParser {
             };
         }
 
+        if (token.type === 'TEMPLATE') {
+            return this.parseTemplateLiteral(token);
+        }
+
         if (token.value === 'true' || token.value === 'false') {
             this.nextToken();
             return {
@@ -924,32 +1313,33 @@ class NeutronParser {
         }
 
         if (token.type === 'IDENTIFIER') {
-            const identifier = {
+            this.nextToken();
+            return {
                 type: 'Identifier',
                 name: token.value,
                 start: token.start,
                 end: token.end
             };
-            this.nextToken();
-
-            // Check for function call
-            if (this.currentToken() && this.currentToken().value === '(') {
-                return this.parseCallExpression(identifier);
-            }
+        }
 
-            // Check for member access
-            if (this.currentToken() && this.currentToken().value === '.') {
-                return this.parseMemberExpression(identifier);
-            }
+        if (token.value === 'this') {
+            this.nextToken();
+            return {
+                type: 'ThisExpression',
+                start: token.start,
+                end: token.end
+            };
+        }
 
-            return identifier;
+        if (token.value === 'fun') {
+            return this.parseFunctionExpression();
         }
 
         if (token.value === '(') {
             this.nextToken(); // skip '('
             const expr = this.parseExpression();
             if (!this.currentToken() || this.currentToken().value !== ')') {
-                throw new Error(`Expected ')' at position ${this.currentToken().start}`);
+                throw this.syntaxError(`Expected ')'`);
             }
             this.nextToken(); // skip ')'
             return expr;
@@ -963,12 +1353,89 @@ class NeutronParser {
             return this.parseObjectExpression();
         }
 
-        throw new Error(`Unexpected token '${token.value}' at position ${token.start}`);
+        throw this.syntaxError(`Unexpected token '${token.value}'`, token);
+    }
+
+    // "Hello, ${name}!" becomes text chunks (quasis) interleaved with parsed expressions
+    parseTemplateLiteral(token) {
+        const quasis = [];
+        const expressions = [];
+        let textStart = token.start + 1; // Skip opening quote
+
+        for (const interpolation of token.interpolations) {
+            quasis.push(this.createTemplateElement(textStart, interpolation.start));
+
+            if (!interpolation.terminated) {
+                this.addError(`Unterminated interpolation, expected '}'`, interpolation.start, interpolation.end);
+            }
+
+            expressions.push(this.parseInterpolation(interpolation));
+            textStart = interpolation.end;
+        }
+
+        quasis.push(this.createTemplateElement(textStart, token.end - 1)); // Stop before closing quote
+        this.nextToken();
+
+        return {
+            type: 'TemplateLiteral',
+            quasis: quasis,
+            expressions: expressions,
+            raw: token.value,
+            start: token.start,
+            end: token.end
+        };
+    }
+
+    createTemplateElement(start, end) {
+        return {
+            type: 'TemplateElement',
+            value: this.input.slice(start, end),
+            start: start,
+            end: end
+        };
+    }
+
+    // Parse the tokens of one `${...}` as a standalone expression. Errors are reported
+    // at their absolute offsets and never escape into the enclosing statement.
+    parseInterpolation(interpolation) {
+        const closeStart = interpolation.terminated ? interpolation.end - 1 : interpolation.end;
+
+        if (interpolation.tokens.length === 0) {
+            this.addError('Empty interpolation', interpolation.start, interpolation.end);
+            return null;
+        }
+
+        const savedTokens = this.tokens;
+        const savedPosition = this.position;
+        // The closing brace acts as end-of-input so errors always have a position to point at
+        this.tokens = this.reportErrorTokens(interpolation.tokens).concat([{
+            type: 'EOF',
+            value: '}',
+            start: closeStart,
+            end: closeStart + 1
+        }]);
+        this.position = 0;
+
+        try {
+            const expr = this.parseExpression();
+            const extra = this.currentToken();
+            if (extra.type !== 'EOF') {
+                this.addError(`Unexpected token '${extra.value}' in interpolation`, extra.start, extra.end);
+            }
+            return expr;
+        } catch (e) {
+            const errorToken = this.currentToken();
+            this.addError(e.message, errorToken.start, errorToken.end);
+            return null;
+        } finally {
+            this.tokens = savedTokens;
+            this.position = savedPosition;
+        }
     }
 
     parseCallExpression(callee) {
         if (!this.currentToken() || this.currentToken().value !== '(') {
-            throw new Error(`Expected '(' for function call at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '(' for function call`);
         }
 
         this.nextToken(); // skip '('
@@ -983,7 +1450,7 @@ class NeutronParser {
         }
 
         if (!this.currentToken() || this.currentToken().value !== ')') {
-            throw new Error(`Expected ')' to close function call at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ')' to close function call`);
         }
 
         const endToken = this.currentToken();
@@ -1000,13 +1467,14 @@ class NeutronParser {
 
     parseMemberExpression(object) {
         if (!this.currentToken() || this.currentToken().value !== '.') {
-            throw new Error(`Expected '.' for member access at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '.' for member access`);
         }
 
         this.nextToken(); // skip '.'
 
-        if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
-            throw new Error(`Expected identifier after '.' at position ${this.currentToken().start}`);
+        // Keywords are valid property names, e.g. arrays.new()
+        if (!this.currentToken() || (this.currentToken().type !== 'IDENTIFIER' && this.currentToken().type !== 'KEYWORD')) {
+            throw this.syntaxError(`Expected identifier after '.'`);
         }
 
         const property = {
@@ -1018,19 +1486,6 @@ class NeutronParser {
 
         this.nextToken();
 
-        // Check if this member access is immediately followed by a function call
-        if (this.currentToken() && this.currentToken().value === '(') {
-            // This is actually a function call on the member expression
-            const callExpr = this.parseCallExpression({
-                type: 'MemberExpression',
-                object: object,
-                property: property,
-                start: object.start,
-                end: property.end
-            });
-            return callExpr;
-        }
-
         return {
             type: 'MemberExpression',
             object: object,
@@ -1040,6 +1495,27 @@ class NeutronParser {
         };
     }
 
+    parseIndexExpression(object) {
+        this.nextToken(); // skip '['
+
+        const index = this.parseExpression();
+
+        if (!this.currentToken() || this.currentToken().value !== ']') {
+            throw this.syntaxError(`Expected ']' after index`);
+        }
+
+        const endToken = this.currentToken();
+        this.nextToken(); // skip ']'
+
+        return {
+            type: 'IndexExpression',
+            object: object,
+            index: index,
+            start: object.start,
+            end: endToken.end
+        };
+    }
+
     parseArrayExpression() {
         const startToken = this.currentToken();
         this.nextToken(); // skip '['
@@ -1054,7 +1530,7 @@ class NeutronParser {
         }
 
         if (!this.currentToken() || this.currentToken().value !== ']') {
-            throw new Error(`Expected ']' to close array at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ']' to close array`);
         }
 
         const endToken = this.currentToken();
@@ -1082,7 +1558,7 @@ class NeutronParser {
         }
 
         if (!this.currentToken() || this.currentToken().value !== '}') {
-            throw new Error(`Expected '}' to close object at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '}' to close object`);
         }
 
         const endToken = this.currentToken();
@@ -1098,14 +1574,21 @@ class NeutronParser {
 
     parseObjectProperty() {
         if (!this.currentToken() || this.currentToken().type !== 'STRING') {
-            throw new Error(`Expected string key for object property at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected string key for object property`);
         }
 
-        const key = this.currentToken();
+        const keyToken = this.currentToken();
+        const key = {
+            type: 'Literal',
+            value: keyToken.value,
+            raw: keyToken.value,
+            start: keyToken.start,
+            end: keyToken.end
+        };
         this.nextToken(); // skip key
 
         if (!this.currentToken() || this.currentToken().value !== ':') {
-            throw new Error(`Expected ':' after object property key at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ':' after object property key`);
         }
 
         this.nextToken(); // skip ':'
@@ -1125,7 +1608,7 @@ class NeutronParser {
         const expr = this.parseExpression();
         
         // Check if this is an assignment
-        if (expr.type === 'Identifier' && this.currentToken() && this.currentToken().value === '=') {
+        if (this.currentToken() && this.currentToken().value === '=') {
             return this.parseAssignmentExpression(expr);
         }
         
@@ -1136,7 +1619,7 @@ class NeutronParser {
                 type: 'ExpressionStatement',
                 expression: expr,
                 start: expr.start,
-                end: this.currentToken() ? this.currentToken().start : expr.end + 1  // +1 for the semicolon character
+                end: this.previousToken().end
             };
         } else {
             // For expression statements, don't necessarily require semicolons at end of line
@@ -1150,9 +1633,14 @@ class NeutronParser {
         }
     }
     
-    parseAssignmentExpression(left) {
+    // `consumeSemicolon` is false inside a for header, where the ';' belongs to the header
+    parseAssignmentExpression(left, consumeSemicolon = true) {
         if (!this.currentToken() || this.currentToken().value !== '=') {
-            throw new Error(`Expected '=' in assignment at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '=' in assignment`);
+        }
+        
+        if (!this.isAssignmentTarget(left)) {
+            throw this.syntaxError(`Invalid assignment target`, left);
         }
         
         const opToken = this.currentToken();
@@ -1161,7 +1649,7 @@ class NeutronParser {
         const right = this.parseExpression();
         
         // Check for semicolon - if present, consume it
-        if (this.currentToken() && this.currentToken().value === ';') {
+        if (consumeSemicolon && this.currentToken() && this.currentToken().value === ';') {
             this.nextToken(); // consume the semicolon
             // Return the assignment with proper end position after the semicolon
             return {
@@ -1170,7 +1658,7 @@ class NeutronParser {
                 left: left,
                 right: right,
                 start: left.start,
-                end: this.currentToken() ? this.currentToken().start : right.end + 1  // +1 for the semicolon character
+                end: this.previousToken().end
             };
         } else {
             // For assignments, don't necessarily require semicolons at end of line
@@ -1185,12 +1673,17 @@ class NeutronParser {
         }
     }
 
+    // Only variables, members (this.items) and indexed elements (arr[i]) can be assigned to
+    isAssignmentTarget(node) {
+        return ['Identifier', 'MemberExpression', 'IndexExpression'].includes(node.type);
+    }
+
     parseFunctionDeclaration() {
         const startToken = this.currentToken();
         this.nextToken(); // skip 'fun'
 
         if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
-            throw new Error(`Expected function name after 'fun' at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected function name after 'fun'`);
         }
 
         const name = this.currentToken().value;
@@ -1198,82 +1691,428 @@ class NeutronParser {
         this.nextToken(); // skip name
 
         if (!this.currentToken() || this.currentToken().value !== '(') {
-            throw new Error(`Expected '(' after function name at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '(' after function name`);
+        }
+
+        const params = this.parseParameters();
+        const body = this.parseBlock();
+
+        return {
+            type: 'FunctionDeclaration',
+            id: {
+                type: 'Identifier',
+                name: name,
+                start: nameToken.start,
+                end: nameToken.end
+            },
+            params: params,
+            body: body,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    // Anonymous function (lambda) usable anywhere an expression is allowed
+    parseFunctionExpression() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'fun'
+
+        if (!this.currentToken() || this.currentToken().value !== '(') {
+            throw this.syntaxError(`Expected '(' after 'fun'`);
+        }
+
+        const params = this.parseParameters();
+
+        if (!this.currentToken() || this.currentToken().value !== '{') {
+            throw this.syntaxError(`Expected '{' to start lambda body`);
         }
 
+        const body = this.parseBlock();
+
+        return {
+            type: 'FunctionExpression',
+            params: params,
+            body: body,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    // Parse a parenthesized parameter list, starting at '('
+    parseParameters() {
         this.nextToken(); // skip '('
 
         const params = [];
-        if (this.currentToken() && this.currentToken().value !== ')') {
-            if (this.currentToken().type === 'IDENTIFIER') {
-                params.push(this.currentToken().value);
+        const parseParameter = () => {
+            const token = this.currentToken();
+            if (token && token.type === 'IDENTIFIER') {
+                params.push({
+                    type: 'Identifier',
+                    name: token.value,
+                    start: token.start,
+                    end: token.end
+                });
                 this.nextToken();
             }
+        };
+        if (this.currentToken() && this.currentToken().value !== ')') {
+            parseParameter();
             
             while (this.currentToken() && this.currentToken().value === ',') {
                 this.nextToken(); // skip ','
-                if (this.currentToken() && this.currentToken().type === 'IDENTIFIER') {
-                    params.push(this.currentToken().value);
-                    this.nextToken();
-                }
+                parseParameter();
             }
         }
 
         if (!this.currentToken() || this.currentToken().value !== ')') {
-            throw new Error(`Expected ')' after function parameters at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected ')' after function parameters`);
         }
 
         this.nextToken(); // skip ')'
 
-        const body = this.parseBlock();
+        return params;
+    }
+
+    parseClassDeclaration() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'class'
+
+        if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
+            throw this.syntaxError(`Expected class name after 'class'`);
+        }
+
+        const name = this.currentToken().value;
+        const nameToken = this.currentToken();
+        this.nextToken(); // skip name
+
+        if (!this.currentToken() || this.currentToken().value !== '{') {
+            throw this.syntaxError(`Expected '{' to start class body`);
+        }
+
+        this.nextToken(); // skip '{'
+
+        // A class body holds only field declarations (var name;) and methods (fun greet() {...})
+        const fields = [];
+        const methods = [];
+        while (this.currentToken() && this.currentToken().value !== '}') {
+            const token = this.currentToken();
+            const startPosition = this.position;
+            const member = token.value === 'var' || token.value === 'fun' ? this.parseStatement() : null;
+
+            if (member && member.type === 'VariableDeclaration') {
+                fields.push(member);
+            } else if (member && member.type === 'FunctionDeclaration') {
+                methods.push(member);
+            } else if (this.position === startPosition || member) {
+                this.addError(`Expected field ('var') or method ('fun') in class body`, token.start, member ? member.end : token.end);
+                this.skipToNextClassMember();
+            }
+        }
+
+        if (!this.currentToken()) {
+            this.addError(`Expected '}' to close class body`, startToken.start, nameToken.end);
+        } else {
+            this.nextToken(); // skip '}'
+        }
 
         return {
-            type: 'FunctionDeclaration',
+            type: 'ClassDeclaration',
             id: {
                 type: 'Identifier',
                 name: name,
                 start: nameToken.start,
                 end: nameToken.end
             },
-            params: params,
-            body: body,
+            fields: fields,
+            methods: methods,
             start: startToken.start,
-            end: this.currentToken() ? this.currentToken().end : startToken.end
+            end: this.previousToken().end
         };
     }
 
-    parseClassDeclaration() {
+    parseMatchStatement() {
         const startToken = this.currentToken();
-        this.nextToken(); // skip 'class'
+        this.nextToken(); // skip 'match'
+
+        if (!this.currentToken() || this.currentToken().value !== '(') {
+            throw this.syntaxError(`Expected '(' after 'match'`);
+        }
+
+        this.nextToken(); // skip '('
+        const discriminant = this.parseExpression();
+
+        if (!this.currentToken() || this.currentToken().value !== ')') {
+            throw this.syntaxError(`Expected ')' after match expression`);
+        }
+
+        this.nextToken(); // skip ')'
+
+        if (!this.currentToken() || this.currentToken().value !== '{') {
+            throw this.syntaxError(`Expected '{' to start match body`);
+        }
+
+        this.nextToken(); // skip '{'
+
+        const cases = [];
+        let defaultCase = null;
+        while (this.currentToken() && this.currentToken().value !== '}') {
+            const token = this.currentToken();
+            if (token.value === 'case' || token.value === 'default') {
+                let arm;
+                try {
+                    arm = this.parseMatchCase();
+                } catch (e) {
+                    // A broken arm should not discard the rest of the match
+                    this.addError(e.message, token.start, token.end);
+                    this.skipToNextMatchArm();
+                    continue;
+                }
+                if (!arm.test && defaultCase) {
+                    this.addError(`Duplicate 'default' arm in match statement`, arm.start, arm.end);
+                } else if (!arm.test) {
+                    defaultCase = arm;
+                } else {
+                    cases.push(arm);
+                }
+            } else {
+                // Report the stray token but keep the arms parsed so far
+                this.addError(`Expected 'case' or 'default' in match body, found '${token.value}'`, token.start, token.end);
+                this.nextToken();
+            }
+        }
+
+        if (!this.currentToken()) {
+            this.addError(`Expected '}' to close match statement`, startToken.start, startToken.end);
+        } else {
+            this.nextToken(); // skip '}'
+        }
+
+        return {
+            type: 'MatchStatement',
+            discriminant: discriminant,
+            cases: cases,
+            defaultCase: defaultCase,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    // Parse a single `case pattern => body` or `default => body` arm
+    parseMatchCase() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'case' or 'default'
+
+        let test = null;
+        if (startToken.value === 'case') {
+            test = this.parseExpression();
+        }
+
+        if (!this.currentToken() || this.currentToken().value !== '=>') {
+            throw this.syntaxError(`Expected '=>' after '${startToken.value}'`);
+        }
+
+        this.nextToken(); // skip '=>'
+
+        const consequent = this.parseBlock();
+
+        return {
+            type: 'MatchCase',
+            test: test,
+            consequent: consequent,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    skipToNextClassMember() {
+        while (this.currentToken() && !['var', 'fun', '}'].includes(this.currentToken().value)) {
+            this.nextToken();
+        }
+    }
+
+    skipToNextMatchArm() {
+        while (this.currentToken() && !['case', 'default', '}'].includes(this.currentToken().value)) {
+            this.nextToken();
+        }
+    }
+
+    // try { ... } catch (error) { ... } finally { ... }
+    parseTryStatement() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'try'
+
+        if (!this.currentToken() || this.currentToken().value !== '{') {
+            throw this.syntaxError(`Expected '{' after 'try'`);
+        }
+
+        const block = this.parseBlock();
+
+        let handler = null;
+        if (this.currentToken() && this.currentToken().value === 'catch') {
+            handler = this.parseCatchClause();
+        }
+
+        let finalizer = null;
+        if (this.currentToken() && this.currentToken().value === 'finally') {
+            finalizer = this.parseFinallyClause();
+        }
+
+        if (!handler && !finalizer) {
+            this.addError(`'try' requires a 'catch' or 'finally' block`, startToken.start, startToken.end);
+        }
+
+        return {
+            type: 'TryStatement',
+            block: block,
+            handler: handler,
+            finalizer: finalizer,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    parseCatchClause() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'catch'
+
+        if (!this.currentToken() || this.currentToken().value !== '(') {
+            throw this.syntaxError(`Expected '(' after 'catch'`);
+        }
+
+        this.nextToken(); // skip '('
 
         if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
-            throw new Error(`Expected class name after 'class' at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected error variable name in 'catch'`);
         }
 
-        const name = this.currentToken().value;
-        const nameToken = this.currentToken();
-        this.nextToken(); // skip name
+        const paramToken = this.currentToken();
+        this.nextToken(); // skip parameter
+
+        if (!this.currentToken() || this.currentToken().value !== ')') {
+            throw this.syntaxError(`Expected ')' after catch parameter`);
+        }
+
+        this.nextToken(); // skip ')'
 
         if (!this.currentToken() || this.currentToken().value !== '{') {
-            throw new Error(`Expected '{' to start class body at position ${this.currentToken().start}`);
+            throw this.syntaxError(`Expected '{' to start catch block`);
         }
 
         const body = this.parseBlock();
 
         return {
-            type: 'ClassDeclaration',
+            type: 'CatchClause',
+            param: {
+                type: 'Identifier',
+                name: paramToken.value,
+                start: paramToken.start,
+                end: paramToken.end
+            },
+            body: body,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    // Returns the block after 'finally'
+    parseFinallyClause() {
+        this.nextToken(); // skip 'finally'
+
+        if (!this.currentToken() || this.currentToken().value !== '{') {
+            throw this.syntaxError(`Expected '{' after 'finally'`);
+        }
+
+        return this.parseBlock();
+    }
+
+    parseThrowStatement() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'throw'
+
+        if (!this.currentToken() || this.currentToken().value === ';' || this.currentToken().value === '}') {
+            throw this.syntaxError(`Expected expression after 'throw'`, startToken);
+        }
+
+        const argument = this.parseExpression();
+
+        // Skip semicolon if present
+        if (this.currentToken() && this.currentToken().value === ';') {
+            this.nextToken();
+        }
+
+        return {
+            type: 'ThrowStatement',
+            argument: argument,
+            start: startToken.start,
+            end: this.previousToken().end
+        };
+    }
+
+    // `use sys;` imports a built-in or box module by name
+    parseUseDeclaration() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'use'
+
+        if (!this.currentToken() || this.currentToken().type !== 'IDENTIFIER') {
+            throw this.syntaxError(`Expected module name after 'use'`);
+        }
+
+        const nameToken = this.currentToken();
+        this.nextToken(); // skip module name
+
+        this.consumeImportSemicolon('use', nameToken);
+
+        return {
+            type: 'UseDeclaration',
             id: {
                 type: 'Identifier',
-                name: name,
+                name: nameToken.value,
                 start: nameToken.start,
                 end: nameToken.end
             },
-            body: body,
             start: startToken.start,
-            end: this.currentToken() ? this.currentToken().end : startToken.end
+            end: this.previousToken().end
+        };
+    }
+
+    // `using 'utils.nt';` imports another Neutron source file
+    parseUsingDeclaration() {
+        const startToken = this.currentToken();
+        this.nextToken(); // skip 'using'
+
+        if (!this.currentToken() || this.currentToken().type !== 'STRING') {
+            throw this.syntaxError(`Expected file path string after 'using'`);
+        }
+
+        const pathToken = this.currentToken();
+        this.nextToken(); // skip path
+
+        this.consumeImportSemicolon('using', pathToken);
+
+        return {
+            type: 'UsingDeclaration',
+            source: {
+                type: 'Literal',
+                value: pathToken.value,
+                raw: pathToken.value,
+                start: pathToken.start,
+                end: pathToken.end
+            },
+            path: pathToken.value.slice(1, -1),
+            start: startToken.start,
+            end: this.previousToken().end
         };
     }
 
+    consumeImportSemicolon(keyword, lastToken) {
+        if (this.currentToken() && this.currentToken().value === ';') {
+            this.nextToken(); // consume the semicolon
+        } else {
+            const lineEnd = this.findEndOfLine(lastToken.end);
+            this.addError(`Missing semicolon at end of '${keyword}' statement`, lastToken.end, lineEnd);
+        }
+    }
+
     parseReturnStatement() {
         const startToken = this.currentToken();
         this.nextToken(); // skip 'return'
@@ -1294,7 +2133,24 @@ class NeutronParser {
             type: 'ReturnStatement',
             argument: argument,
             start: startToken.start,
-            end: argument ? argument.end : startToken.end + 6 // +6 for 'return'
+            end: this.previousToken().end
+        };
+    }
+
+    // `break;` or `continue;`
+    parseJumpStatement() {
+        const token = this.currentToken();
+        this.nextToken(); // skip 'break' or 'continue'
+
+        // Skip semicolon if present
+        if (this.currentToken() && this.currentToken().value === ';') {
+            this.nextToken();
+        }
+
+        return {
+            type: token.value === 'break' ? 'BreakStatement' : 'ContinueStatement',
+            start: token.start,
+            end: token.end
         };
     }
 
@@ -1302,6 +2158,16 @@ class NeutronParser {
         return this.position < this.tokens.length ? this.tokens[this.position] : null;
     }
 
+    peekToken(offset = 1) {
+        const index = this.position + offset;
+        return index < this.tokens.length ? this.tokens[index] : null;
+    }
+
+    // The last token consumed, used to compute accurate end offsets
+    previousToken() {
+        return this.position > 0 ? this.tokens[this.position - 1] : null;
+    }
+
     nextToken() {
         if (this.position < this.tokens.length) {
             this.position++;
@@ -1310,4 +2176,58 @@ class NeutronParser {
     }
 }
 
-module.exports = NeutronParser;
\ No newline at end of file
+/**
+ * Parse Neutron source text.
+ * @param {string} text
+ * @param {{ trivia?: boolean }} [options] `trivia: true` keeps whitespace and comments on the
+ *     tokens so `reconstruct` can reproduce `text` exactly
+ * @returns {{ ast: object, tokens: object[], errors: { message: string, start: number, end: number }[] }}
+ */
+function parse(text, options = {}) {
+    const parser = new NeutronParser();
+    const ast = parser.parse(text, options);
+    return {
+        ast: ast,
+        tokens: parser.tokens,
+        errors: parser.errors
+    };
+}
+
+/**
+ * Visit `node` and all of its descendants depth-first, parents before children.
+ * @param {object} node
+ * @param {(node: object, parent: object|null) => void} visitor
+ */
+function walk(node, visitor, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+
+    visitor(node, parent);
+    for (const key in node) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && typeof item === 'object') {
+                    walk(item, visitor, node);
+                }
+            }
+        } else if (value && typeof value === 'object') {
+            walk(value, visitor, node);
+        }
+    }
+}
+
+/**
+ * Rebuild the source text from a lossless parse (`parse(text, { trivia: true })`).
+ * @param {{ ast: object, tokens: object[] }} result
+ * @returns {string}
+ */
+function reconstruct(result) {
+    const join = (trivia) => (trivia || []).map(piece => piece.text).join('');
+    let text = '';
+    for (const token of result.tokens) {
+        text += join(token.leadingTrivia) + token.text + join(token.trailingTrivia);
+    }
+    return text + join(result.ast.trailingTrivia);
+}
+
+module.exports = { parse, walk, reconstruct, NeutronParser };
\ No newline at end of file
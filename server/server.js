@@ -9,6 +9,7 @@ const {
     TextDocuments,
     Diagnostic,
     DiagnosticSeverity,
+    CodeActionKind,
     ProposedFeatures,
     InitializeParams,
     TextDocumentSyncKind,
@@ -18,7 +19,11 @@ const {
 
 const { TextDocument } = require('vscode-languageserver-textdocument');
 
-const NeutronParser = require('./parser.js');
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const { DocumentCache } = require('./documentCache.js');
 const TypeChecker = require('./typeChecker.js');
 
 // Create a connection for the server
@@ -27,6 +32,9 @@ const connection = createConnection(ProposedFeatures.all);
 // Create a simple text document manager
 const documents = new TextDocuments(TextDocument);
 
+// Parse results per open document, reparsed incrementally on each change
+const documentCache = new DocumentCache();
+
 let hasConfigurationCapability = false;
 let hasWorkspaceFolderCapability = false;
 let hasDiagnosticRelatedInformationCapability = false;
@@ -50,7 +58,10 @@ connection.onInitialize((params) => {
 
     const result = {
         capabilities: {
-            textDocumentSync: TextDocumentSyncKind.Incremental
+            textDocumentSync: TextDocumentSyncKind.Incremental,
+            codeActionProvider: {
+                codeActionKinds: [CodeActionKind.QuickFix]
+            }
         }
     };
     if (hasWorkspaceFolderCapability) {
@@ -88,6 +99,7 @@ const documentSettings = new Map();
 // Only keep settings for open documents
 documents.onDidClose((e) => {
     documentSettings.delete(e.document.uri);
+    documentCache.delete(e.document.uri);
 });
 
 // The content of a text document has changed. This event is emitted
@@ -108,19 +120,20 @@ async function validateTextDocument(textDocument) {
         return;
     }
 
-    // The validator creates diagnostics for all uppercase words length 2 and more
-    const text = textDocument.getText();
     const diagnostics = [];
 
     // Parse and validate the text for type mismatches
-    const typeErrors = analyzeTypeSafety(text, textDocument);
+    const typeErrors = analyzeTypeSafety(textDocument, settings);
 
     for (const error of typeErrors) {
         diagnostics.push({
-            severity: DiagnosticSeverity.Error,
+            severity: error.severity || DiagnosticSeverity.Error,
             range: error.range,
             message: error.message,
-            source: 'Neutron Type Checker'
+            tags: error.tags,
+            source: 'Neutron Type Checker',
+            code: error.code,
+            data: error.data
         });
     }
 
@@ -128,6 +141,53 @@ async function validateTextDocument(textDocument) {
     connection.sendDiagnostics({ uri: textDocument.uri, diagnostics });
 }
 
+// Quick fixes for diagnostics that carry a `code`
+connection.onCodeAction((params) => {
+    const document = documents.get(params.textDocument.uri);
+    if (!document) {
+        return [];
+    }
+
+    const actions = [];
+    for (const diagnostic of params.context.diagnostics) {
+        if (diagnostic.code === 'missing-import' && diagnostic.data) {
+            const line = `use ${diagnostic.data.module};`;
+            actions.push({
+                title: `Add '${line}'`,
+                kind: CodeActionKind.QuickFix,
+                diagnostics: [diagnostic],
+                isPreferred: true,
+                edit: {
+                    changes: {
+                        [document.uri]: [getImportEdit(document, line)]
+                    }
+                }
+            });
+        }
+    }
+    return actions;
+});
+
+// Insert an import line after the last top-level `use`, otherwise on the line of the first
+// statement so leading comments stay on top
+function getImportEdit(document, line) {
+    const { ast, lineIndex } = documentCache.get(document);
+    const uses = ast.body.filter(node => node.type === 'UseDeclaration');
+    let position = Position.create(0, 0);
+    if (uses.length > 0) {
+        const lastUse = lineIndex.positionAt(uses[uses.length - 1].end).line;
+        if (lastUse + 1 >= document.lineCount) {
+            // The last `use` is on the last line, which has no newline to insert after
+            const end = document.positionAt(document.getText().length);
+            return { range: { start: end, end: end }, newText: '\n' + line };
+        }
+        position = Position.create(lastUse + 1, 0);
+    } else if (ast.body.length > 0) {
+        position = Position.create(lineIndex.positionAt(ast.body[0].start).line, 0);
+    }
+    return { range: { start: position, end: position }, newText: line + '\n' };
+}
+
 // Get document settings based on URI
 function getDocumentSettings(resource) {
     if (!hasConfigurationCapability) {
@@ -145,20 +205,19 @@ function getDocumentSettings(resource) {
 }
 
 // Analyze the text for type safety and syntax errors
-function analyzeTypeSafety(text, document) {
+function analyzeTypeSafety(document, settings) {
     const errors = [];
     
     try {
-        const parser = new NeutronParser();
-        const result = parser.parse(text);
+        const result = documentCache.get(document);
         
         // Add syntax errors (like missing semicolons) to the errors array
         if (result.errors) {
             for (const syntaxError of result.errors) {
                 errors.push({
                     range: {
-                        start: getPositionFromIndex(document, syntaxError.start),
-                        end: getPositionFromIndex(document, syntaxError.end)
+                        start: getPositionFromIndex(result.lineIndex, syntaxError.start),
+                        end: getPositionFromIndex(result.lineIndex, syntaxError.end)
                     },
                     message: syntaxError.message,
                     severity: DiagnosticSeverity.Error
@@ -167,10 +226,12 @@ function analyzeTypeSafety(text, document) {
         }
         
         // Only perform type checking if we have a valid AST
-        if (result && result.body) {
+        if (result.ast && result.ast.body) {
             // Perform type checking on the AST using the imported TypeChecker
-            const typeChecker = new TypeChecker();
-            typeChecker.check(result, document, errors);
+            const typeChecker = new TypeChecker({
+                readImport: (importPath) => readImportedFile(importPath, document, settings)
+            });
+            typeChecker.check(result.ast, document, errors, result.lineIndex);
         }
     } catch (e) {
         // If parsing fails, we can't do type checking
@@ -180,22 +241,33 @@ function analyzeTypeSafety(text, document) {
     return errors;
 }
 
-// Helper function to convert character index to position
-function getPositionFromIndex(document, index) {
-    const text = document.getText();
-    let line = 0;
-    let char = 0;
-    
-    for (let i = 0; i < index && i < text.length; i++) {
-        if (text[i] === '\n') {
-            line++;
-            char = 0;
-        } else {
-            char++;
+// Read a file named by `using`, searching like the runtime does: next to the document, then
+// in its lib/ and box/ directories, then in the configured import paths.
+// Returns null when the file cannot be found.
+function readImportedFile(importPath, document, settings) {
+    if (!document.uri.startsWith('file:')) {
+        return null;
+    }
+
+    const baseDir = path.dirname(fileURLToPath(document.uri));
+    const importPaths = (settings && Array.isArray(settings.importPaths)) ? settings.importPaths : [];
+    const searchDirs = [baseDir, path.join(baseDir, 'lib'), path.join(baseDir, 'box')]
+        .concat(importPaths.map(dir => path.resolve(baseDir, dir)));
+
+    for (const dir of searchDirs) {
+        try {
+            return fs.readFileSync(path.resolve(dir, importPath), 'utf8');
+        } catch (e) {
+            // Not in this directory
         }
     }
-    
-    return Position.create(line, char);
+    return null;
+}
+
+// Helper function to convert character index to position
+function getPositionFromIndex(lineIndex, index) {
+    const position = lineIndex.positionAt(index);
+    return Position.create(position.line, position.character);
 }
 
 connection.onDidChangeConfiguration((change) => {
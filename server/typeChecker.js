@@ -4,23 +4,332 @@
  * ------------------------------------------------------------------------------------------ */
 'use strict';
 
+const { parse, walk } = require('./parser.js');
+const { LineIndex } = require('./documentCache.js');
+// Signatures of the global builtins (say) and of the builtin modules (sys, math, ...)
+const BUILTINS = require('./builtins.json');
+// Modules that exist only after `use name;`. convert is the older module fmt replaces; it has no catalog entry.
+const BUILTIN_MODULE_NAMES = new Set([...Object.keys(BUILTINS.modules), 'convert']);
+
+// A lexical scope: the symbols declared directly in it and a link to the enclosing scope.
+// `kind` is 'program', 'function', 'block', 'loop', 'class' or 'catch'.
+class Scope {
+    constructor(kind, node, parent = null) {
+        this.kind = kind;
+        this.node = node;
+        this.parent = parent;
+        // Symbols by name: { name, kind, type, instanceType, node, range, used }
+        this.symbols = new Map();
+    }
+    
+    declare(symbol) {
+        this.symbols.set(symbol.name, symbol);
+        return symbol;
+    }
+    
+    // Find the closest declaration of `name`. Class members are reached through `this`,
+    // so class scopes are skipped.
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.kind === 'class') continue;
+            const symbol = scope.symbols.get(name);
+            if (symbol) return symbol;
+        }
+        return null;
+    }
+}
+
+// Levenshtein distance between two names, for "did you mean" suggestions
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// The candidate closest to `name`, if it is close enough to be a likely typo
+function closestName(name, candidates) {
+    // Allow one edit per three characters, but never enough to replace the whole name
+    const maxDistance = Math.min(Math.max(1, Math.floor(name.length / 3)), name.length - 1);
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const candidate of candidates) {
+        const distance = editDistance(name, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+const NUMERIC_TYPES = ['int', 'float', 'number'];
+
+// Types an annotation can name besides a class
+const BUILTIN_TYPES = ['int', 'float', 'string', 'bool', 'array', 'object', 'any'];
+
+function isNumeric(type) {
+    return NUMERIC_TYPES.includes(type);
+}
+
+// Type of an arithmetic result: int only when both sides are, float when either side is
+function arithmeticType(operator, left, right) {
+    if (left === 'any' || right === 'any') return 'any';
+    if (operator === '/' || left === 'float' || right === 'float') return 'float';
+    if (left === 'int' && right === 'int') return 'int';
+    return 'number';
+}
+
+// Result type of a binary or logical operator, or null when the operand types are rejected
+// by the runtime. An operand of type `any` is accepted wherever some type would be.
+function binaryOperatorType(operator, left, right) {
+    switch (operator) {
+        case '==':
+        case '!=':
+            return 'bool';
+        case 'and':
+        case 'or':
+            // Every value is truthy or falsy, and the result is one of the operands
+            return left === right ? left : 'any';
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            // Numbers compare with numbers and strings with strings
+            if (left === 'any' || right === 'any') {
+                const other = left === 'any' ? right : left;
+                return other === 'any' || other === 'string' || isNumeric(other) ? 'bool' : null;
+            }
+            if (isNumeric(left) && isNumeric(right)) return 'bool';
+            return left === 'string' && right === 'string' ? 'bool' : null;
+        case '+':
+            // A string on either side turns + into concatenation, which accepts any value
+            if (left === 'string' || right === 'string') return 'string';
+            if ([left, right].every(type => type === 'any' || isNumeric(type))) {
+                return arithmeticType(operator, left, right);
+            }
+            return null;
+        case '-':
+        case '*':
+        case '/':
+        case '%':
+            if ([left, right].every(type => type === 'any' || isNumeric(type))) {
+                return arithmeticType(operator, left, right);
+            }
+            return null;
+    }
+    return 'any';
+}
+
+// Result type of a unary operator, or null when the operand type is rejected
+function unaryOperatorType(operator, type) {
+    if (operator === 'not' || operator === '!') {
+        // Unlike `and`/`or`, which pick an operand (`name or "anonymous"`), `not` is only ever a bool
+        // test, so negating another value is most likely a mistake such as `not count` for `count == 0`
+        return type === 'bool' || type === 'any' ? 'bool' : null;
+    }
+    if (operator === '-') {
+        return type === 'any' || isNumeric(type) ? type : null;
+    }
+    return 'any';
+}
+
 // Type checker class for Neutron
 class TypeChecker {
-    constructor() {
-        // Symbol table to track variable types
-        this.symbolTable = new Map();
+    // `options.readImport(path)` returns the source of a `using` file, or null when it cannot be found.
+    // `options.importing` holds the `using` paths of the files being checked that led to this one.
+    constructor(options = {}) {
+        this.readImport = options.readImport || null;
+        this.importing = options.importing || new Set();
+        // Innermost scope while checking, and every scope created for the document
+        this.scope = null;
+        this.scopes = [];
         this.errors = [];
+        // Number of enclosing loops in the current function, for break/continue validation
+        this.loopDepth = 0;
+        // Declared classes by name: { node, fields: Map<name, type>, methods: Map<name, FunctionDeclaration> }
+        this.classes = new Map();
+        // Class whose method is being checked, which is what `this` refers to
+        this.currentClass = null;
+        // The `return` statements of the function being checked as { node, type }, and the inferred
+        // return type of each checked function
+        this.returns = null;
+        this.functionReturnTypes = new Map();
+        // Functions whose return type is being inferred out of order (see inferReturnType)
+        this.inferringReturns = new Set();
+        // What is known about variables at the current point: Map<symbol, { type, nullable }>, where
+        // `type` narrows the symbol's type (or is null) and `nullable` means the value may be nil.
+        // Symbols without an entry hold a non-nil value of their declared type. Null where unreachable.
+        this.flow = new Map();
+        // Flow states at the break and continue statements of the innermost loop: { breaks, continues }
+        this.loopExits = null;
     }
     
-    check(ast, document, errors) {
+    // `lineIndex` may be passed in when the caller already has one for this version of the document
+    check(ast, document, errors, lineIndex = new LineIndex(document.getText())) {
         this.errors = errors;
-        this.symbolTable = new Map(); // Reset for each document
+        this.lineIndex = lineIndex;
+        this.scope = null;
+        this.scopes = [];
+        this.loopDepth = 0;
+        this.classes = new Map();
+        this.currentClass = null;
+        this.returns = null;
+        this.functionReturnTypes = new Map();
+        this.inferringReturns = new Set();
+        this.flow = new Map();
+        this.loopExits = null;
+        this.document = document;
+        // Undefined names are only reported when every `using` file could be read
+        this.reportUndefined = true;
+        this.globalNames = new Set();
         
         if (ast && ast.body) {
-            for (const node of ast.body) {
-                this.checkNode(node, document);
+            this.withScope('program', ast, () => {
+                this.collectClasses(ast.body);
+                this.declareImports(ast.body, new Set());
+                // A module may be used anywhere in the file that imports it
+                for (const node of ast.body) {
+                    if (node && node.type === 'UseDeclaration') {
+                        this.declare(node.id.name, 'module', 'any', node.id, node);
+                    }
+                }
+                // Function bodies run when called, by which time every global has been declared
+                for (const node of ast.body) {
+                    if (node && node.type === 'VariableDeclaration') {
+                        this.globalNames.add(node.name);
+                    }
+                }
+                
+                this.checkStatements(ast.body, document);
+            });
+            this.reportUnusedSymbols();
+        }
+    }
+    
+    // Unused symbols are reported as hints tagged Unnecessary, which editors grey out.
+    // Top-level variables may be read by files that use this one, and names starting with
+    // `_` are unused on purpose.
+    reportUnusedSymbols() {
+        for (const scope of this.scopes) {
+            for (const symbol of scope.symbols.values()) {
+                if (symbol.used || !symbol.range || symbol.name.startsWith('_')) continue;
+                
+                let message = null;
+                if (symbol.kind === 'variable' && scope.kind !== 'program') {
+                    message = `Variable '${symbol.name}' is declared but never used`;
+                } else if (symbol.kind === 'parameter') {
+                    message = `Parameter '${symbol.name}' is never used`;
+                } else if (symbol.kind === 'function') {
+                    message = `Function '${symbol.name}' is declared but never used`;
+                } else if (symbol.kind === 'class') {
+                    message = `Class '${symbol.name}' is declared but never used`;
+                } else if (symbol.kind === 'module') {
+                    message = `Module '${symbol.name}' is imported but never used`;
+                }
+                
+                if (message) {
+                    this.errors.push({
+                        severity: 4, // DiagnosticSeverity.Hint
+                        tags: [1], // DiagnosticTag.Unnecessary
+                        range: symbol.range,
+                        message: message
+                    });
+                }
+            }
+        }
+    }
+    
+    // Check a statement list. Functions and classes are hoisted to the top of it.
+    checkStatements(statements, document) {
+        for (const node of statements) {
+            if (node && (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration')) {
+                const kind = node.type === 'FunctionDeclaration' ? 'function' : 'class';
+                this.declare(node.id.name, kind, kind === 'function' ? 'function' : 'any', node.id, node);
             }
         }
+        for (const node of statements) {
+            this.checkNode(node, document);
+        }
+    }
+    
+    // Declare the top-level names of `using` files (and the files they use) in the current scope
+    declareImports(statements, visited) {
+        for (const node of statements) {
+            if (!node || node.type !== 'UsingDeclaration' || visited.has(node.path)) continue;
+            visited.add(node.path);
+            
+            const text = this.readImport ? this.readImport(node.path) : null;
+            if (text === null) {
+                this.reportUndefined = false;
+                continue;
+            }
+            
+            const imported = parse(text).ast;
+            this.collectClasses(imported.body);
+            this.declareImports(imported.body, visited);
+            this.inferImportedReturnTypes(node.path, imported, text);
+            for (const declaration of imported.body) {
+                // Declarations from other files have no range in this document
+                if (declaration && declaration.type === 'VariableDeclaration') {
+                    this.declare(declaration.name, 'variable', declaration.declaredType || 'any', null, declaration);
+                } else if (declaration && declaration.type === 'FunctionDeclaration') {
+                    this.declare(declaration.id.name, 'function', 'function', null, declaration);
+                } else if (declaration && declaration.type === 'ClassDeclaration') {
+                    this.declare(declaration.id.name, 'class', 'any', null, declaration);
+                }
+            }
+        }
+    }
+    
+    // The return types of the functions and methods of a `using` file come from checking that file on
+    // its own; its diagnostics belong to it. A file that is already being checked further up a chain of
+    // imports is skipped, so its functions return `any`.
+    inferImportedReturnTypes(path, ast, text) {
+        if (this.importing.has(path)) return;
+        
+        const checker = new TypeChecker({ readImport: this.readImport, importing: new Set(this.importing).add(path) });
+        checker.check(ast, { getText: () => text }, []);
+        for (const [declaration, type] of checker.functionReturnTypes) {
+            this.functionReturnTypes.set(declaration, type);
+        }
+    }
+    
+    // Check inside a new scope nested in the current one
+    withScope(kind, node, check) {
+        const scope = new Scope(kind, node, this.scope);
+        this.scopes.push(scope);
+        this.scope = scope;
+        check();
+        this.scope = scope.parent;
+    }
+    
+    // Declare a symbol in the current scope; `id` is the node naming it
+    declare(name, kind, type, id, node) {
+        return this.scope.declare({
+            name: name,
+            kind: kind,
+            type: type,
+            // Class of the instance held by an untyped symbol, e.g. var person = Person();
+            instanceType: null,
+            // Fields assigned to the instance the symbol holds that its class does not declare
+            addedFields: null,
+            // Lambda held by an untyped symbol, e.g. var add = fun(a, b) { return a + b; };
+            lambda: null,
+            node: node,
+            range: id ? {
+                start: this.lineIndex.positionAt(id.start),
+                end: this.lineIndex.positionAt(id.end)
+            } : null,
+            // Set once the symbol is read somewhere
+            used: false
+        });
     }
     
     checkNode(node, document) {
@@ -34,8 +343,12 @@ class TypeChecker {
                 this.checkAssignmentExpression(node, document);
                 break;
             case 'BinaryExpression':
+            case 'LogicalExpression':
                 this.checkBinaryExpression(node, document);
                 break;
+            case 'UnaryExpression':
+                this.checkUnaryExpression(node, document);
+                break;
             case 'IfStatement':
                 this.checkIfStatement(node, document);
                 break;
@@ -52,7 +365,64 @@ class TypeChecker {
                 this.checkCallExpression(node, document);
                 break;
             case 'ReturnStatement':
+                this.checkReturnStatement(node, document);
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                this.checkJumpStatement(node, document);
+                break;
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+                this.checkFunction(node, document);
+                break;
+            case 'MatchStatement':
+                this.checkMatchStatement(node, document);
+                break;
+            case 'CatchClause':
+                this.checkCatchClause(node, document);
+                break;
+            case 'BlockStatement':
+                this.withScope('block', node, () => this.checkStatements(node.body, document));
+                break;
+            case 'Identifier':
+                this.checkIdentifier(node, document);
+                break;
+            case 'MemberExpression':
+                // The property is a name on the object, not a variable
+                this.checkMemberObject(node.object, document);
+                this.checkMemberProperty(node, document);
+                break;
+            case 'IndexExpression':
+                this.checkNode(node.object, document);
+                this.checkNode(node.index, document);
+                this.checkNilUse(node.object, document);
+                break;
+            case 'TryStatement':
+                this.checkTryStatement(node, document);
+                break;
+            case 'ThrowStatement':
                 this.checkNode(node.argument, document);
+                this.flow = null;
+                break;
+            case 'UseDeclaration': {
+                // Top-level imports are declared up front by check()
+                const declared = this.scope.symbols.get(node.id.name);
+                if (!declared || declared.node !== node) {
+                    this.declare(node.id.name, 'module', 'any', node.id, node);
+                }
+                break;
+            }
+            case 'ClassDeclaration':
+                this.checkClassDeclaration(node, document);
+                break;
+            case 'ThisExpression':
+                this.checkThisExpression(node, document);
+                break;
+            case 'TemplateLiteral':
+                // Only the embedded ${...} expressions need checking
+                for (const expr of node.expressions) {
+                    this.checkNode(expr, document);
+                }
                 break;
             default:
                 // For other nodes, check their children
@@ -81,19 +451,21 @@ class TypeChecker {
     }
     
     checkVariableDeclaration(node, document) {
+        // Class bodies declare fields; the initializer cannot see the variable being declared
+        const kind = this.scope.kind === 'class' ? 'field' : 'variable';
         if (!node.declaredType) {
-            // If no type is declared, just store that the variable exists
-            if (node.name) {
-                this.symbolTable.set(node.name, 'any');
-            }
             // Check the init expression if it exists
             if (node.init) {
                 this.checkNode(node.init, document);
             }
+            // If no type is declared, just store that the variable exists
+            const symbol = this.declare(node.name, kind, 'any', node.id, node);
+            this.trackHeldValue(symbol, node.init);
+            this.assignFact(symbol, node.init);
             return;
         }
         
-        const declaredType = node.declaredType;
+        const declaredType = this.resolveTypeAnnotation(node, document);
         const variableName = node.name;
         
         if (node.init) {
@@ -114,27 +486,40 @@ class TypeChecker {
                     },
                     message: `Type mismatch: expected ${declaredType} but got ${actualType} for variable '${variableName}'`
                 });
-            } else {
-                // Store the variable with its type in the symbol table
-                this.symbolTable.set(variableName, declaredType);
             }
-        } else {
-            // Variable declared without initialization, store its type
-            this.symbolTable.set(variableName, declaredType);
+            this.checkNode(node.init, document);
+        }
+        
+        // The declared type holds even when the initializer is wrong
+        const symbol = this.declare(variableName, kind, declaredType, node.id, node);
+        this.assignFact(symbol, node.init);
+    }
+    
+    // Annotations name a builtin type or a class in scope; an unknown name checks as `any`
+    resolveTypeAnnotation(node, document) {
+        const name = node.declaredType;
+        if (BUILTIN_TYPES.includes(name)) return name;
+        
+        const symbol = this.scope.lookup(name);
+        if (symbol && symbol.kind === 'class') {
+            symbol.used = true;
+            return name;
+        }
+        if (this.reportUndefined) {
+            const suggestion = this.suggestType(name);
+            this.addError(document, node.typeId || node,
+                `Unknown type '${name}'` + (suggestion ? `. Did you mean '${suggestion}'?` : ''));
         }
+        return 'any';
     }
     
     checkAssignmentExpression(node, document) {
         // This handles cases like x = value where x has a declared type
         if (node.left && node.left.type === 'Identifier' && node.right) {
             const varName = node.left.name;
-            // Look up the declared type in the current symbol table context
-            // For this basic implementation, we'll track types as we process the AST
-            // In a full implementation, we'd need to maintain symbol tables per scope
-            
-            // First, let's check if this is a reassignment to an existing variable
-            // We need to be careful about variable scoping here
-            const declaredType = this.symbolTable.get(varName);
+            // The closest declaration in the scope chain decides the type
+            const symbol = this.scope.lookup(varName);
+            const declaredType = symbol ? symbol.type : null;
             
             if (declaredType && declaredType !== 'any') {
                 const actualType = this.inferType(node.right);
@@ -154,8 +539,78 @@ class TypeChecker {
                 }
             }
             
+            if (symbol && declaredType === 'any') {
+                this.trackHeldValue(symbol, node.right);
+            }
+            
             // Also check the right side of the assignment
             this.checkNode(node.right, document);
+            if (symbol) {
+                // A new value has none of the fields added to the old one
+                symbol.addedFields = null;
+                this.assignFact(symbol, node.right);
+            } else {
+                // Only `var` creates a variable
+                this.reportUndefinedName(node.left, document, `Cannot assign to undeclared variable '${varName}'`);
+            }
+        } else if (node.left && node.left.type === 'MemberExpression' && node.right) {
+            this.checkMemberAssignment(node, document);
+        } else if (node.left && node.left.type === 'IndexExpression' && node.right) {
+            this.checkIndexAssignment(node, document);
+        } else {
+            this.checkNode(node.left, document);
+            this.checkNode(node.right, document);
+        }
+    }
+    
+    // A typed field keeps its type
+    checkMemberAssignment(node, document) {
+        const target = node.left;
+        this.checkMemberObject(target.object, document);
+        this.checkNode(node.right, document);
+        
+        const classInfo = this.classes.get(this.inferType(target.object));
+        if (!classInfo) return;
+        
+        // The runtime adds the field to this one instance, which is more likely a typo than intended.
+        // Remember the field on the variable holding the instance so reading it back is not reported again.
+        const fieldName = target.property.name;
+        if (!classInfo.fields.has(fieldName)) {
+            if (!this.instanceHasField(classInfo, target.object, fieldName)) {
+                this.addWarning(document, target.property, `Class '${classInfo.node.id.name}' has no field '${fieldName}'`);
+                const symbol = this.trackedSymbol(target.object);
+                if (symbol) {
+                    symbol.addedFields = new Set(symbol.addedFields).add(fieldName);
+                }
+            }
+            return;
+        }
+        const fieldType = classInfo.fields.get(fieldName);
+        const actualType = this.inferType(node.right);
+        if (!this.isCompatibleType(fieldType, actualType)) {
+            this.addError(document, node.right,
+                `Type mismatch: expected ${fieldType} but got ${actualType} when assigning to field '${fieldName}'`);
+        }
+    }
+    
+    // Arrays are indexed by numbers and objects by string keys; nothing else can be assigned into
+    checkIndexAssignment(node, document) {
+        const target = node.left;
+        this.checkNode(target, document);
+        this.checkNode(node.right, document);
+        
+        const containerType = this.inferType(target.object);
+        const indexType = this.inferType(target.index);
+        if (containerType === 'array') {
+            if (!this.isCompatibleType('number', indexType)) {
+                this.addError(document, target.index, `Type mismatch: array index must be a number but got ${indexType}`);
+            }
+        } else if (containerType === 'object') {
+            if (!this.isCompatibleType('string', indexType)) {
+                this.addError(document, target.index, `Type mismatch: object key must be a string but got ${indexType}`);
+            }
+        } else if (containerType !== 'any') {
+            this.addError(document, target.object, `Type mismatch: cannot assign to an element of ${containerType}`);
         }
     }
     
@@ -165,8 +620,8 @@ class TypeChecker {
         switch (node.type) {
             case 'Literal':
                 if (typeof node.value === 'number') {
-                    // Check if it's an integer or float from the raw representation
-                    if (node.raw && node.raw.includes('.')) {
+                    // A decimal point or an exponent makes a float literal, even when the value is whole (1e3)
+                    if (node.raw && /[.eE]/.test(node.raw)) {
                         return 'float';
                     } else {
                         // Determine if it's int or float based on the value
@@ -182,49 +637,68 @@ class TypeChecker {
                 }
                 break;
                 
+            case 'TemplateLiteral':
+                return 'string';
+                
             case 'ArrayExpression':
                 return 'array';
                 
+            case 'FunctionExpression':
+                // Lambdas are callable values, not data
+                return 'function';
+                
             case 'ObjectExpression':
                 return 'object';
                 
-            case 'Identifier':
-                // Look up the type of the identifier in the symbol table
-                return this.symbolTable.get(node.name) || 'any';
+            case 'Identifier': {
+                // Look up the type of the identifier in the scope chain
+                const symbol = this.scope.lookup(node.name);
+                if (!symbol) return 'any';
+                const fact = this.flow && this.flow.get(symbol);
+                if (fact && fact.type) {
+                    return fact.type;
+                }
+                if (symbol.type === 'any' && symbol.instanceType) {
+                    return symbol.instanceType;
+                }
+                return symbol.type;
+            }
+                
+            case 'ThisExpression':
+                return this.currentClass ? this.currentClass.node.id.name : 'any';
                 
             case 'BinaryExpression':
             case 'LogicalExpression':
-                // For now, these return bool or float/int depending on operator
-                // In a more sophisticated system, we'd implement more detailed inference
-                if (['==', '!=', '<', '<=', '>', '>=', 'and', 'or'].includes(node.operator)) {
-                    return 'bool';
-                } else if (['+', '-', '*', '/', '%'].includes(node.operator)) {
-                    // If both operands are int, result is int, otherwise float
-                    const leftType = this.inferType(node.left) || 'any';
-                    const rightType = this.inferType(node.right) || 'any';
-                    
-                    if (leftType === 'int' && rightType === 'int' && node.operator !== '/') {
-                        return 'int';
-                    }
-                    return 'float'; // Default to float for numeric operations
-                }
-                break;
+                // Rejected operands are reported by checkBinaryExpression; don't cascade from them
+                return binaryOperatorType(node.operator, this.inferType(node.left), this.inferType(node.right)) || 'any';
                 
             case 'UnaryExpression':
-                if (node.operator === 'not') {
-                    return 'bool';
-                }
-                // Other unary operations
-                return this.inferType(node.argument) || 'any';
+                return unaryOperatorType(node.operator, this.inferType(node.argument)) || 'any';
                 
-            case 'CallExpression':
-                // Function calls would return different types based on the function
-                // For now, return any, but in a real system we'd look up function return types
-                return 'any';
+            case 'CallExpression': {
+                // Calling a class creates an instance: Person() has type Person
+                if (node.callee && node.callee.type === 'Identifier' && this.classes.has(node.callee.name)) {
+                    return node.callee.name;
+                }
+                // Builtins return what their catalog signature says
+                const builtin = this.resolveBuiltin(node.callee);
+                if (builtin) {
+                    return builtin.signature.returns;
+                }
+                // User functions return what their `return` statements agree on
+                const declaration = this.resolveCallee(node.callee);
+                return declaration ? this.inferReturnType(declaration) : 'any';
+            }
                 
-            case 'MemberExpression':
-                // Member access would have different types based on the object and property
-                return 'any';
+            case 'MemberExpression': {
+                // Fields have their declared type and methods are callable values
+                const classInfo = this.classes.get(this.inferType(node.object));
+                if (!classInfo) return 'any';
+                if (classInfo.fields.has(node.property.name)) {
+                    return classInfo.fields.get(node.property.name);
+                }
+                return classInfo.methods.has(node.property.name) ? 'function' : 'any';
+            }
         }
         
         return 'any';
@@ -237,6 +711,10 @@ class TypeChecker {
         // Special case: int can be assigned to float
         if (expected === 'float' && actual === 'int') return true;
         
+        // `number` (used by builtin signatures) stands for either int or float
+        if (expected === 'number' && (actual === 'int' || actual === 'float')) return true;
+        if (actual === 'number' && (expected === 'int' || expected === 'float')) return true;
+        
         // nil can be assigned to any type
         if (actual === 'nil') return true;
         
@@ -244,23 +722,7 @@ class TypeChecker {
     }
     
     getPositionFromIndex(document, index) {
-        const text = document.getText();
-        let line = 0;
-        let char = 0;
-        
-        for (let i = 0; i < index && i < text.length; i++) {
-            if (text[i] === '\n') {
-                line++;
-                char = 0;
-            } else {
-                char++;
-            }
-        }
-        
-        return {
-            line: line,
-            character: char
-        };
+        return this.lineIndex.positionAt(index);
     }
     
     checkIfStatement(node, document) {
@@ -268,46 +730,673 @@ class TypeChecker {
         if (node.test) {
             this.checkNode(node.test, document);
         }
+        const before = this.flow;
+        const condition = this.narrowCondition(node.test);
         
         // Check the consequent block
+        this.flow = this.narrowFlow(before, condition.whenTrue);
         if (node.consequent) {
             this.checkNode(node.consequent, document);
         }
+        const afterConsequent = this.flow;
         
         // Check the alternate block (else)
+        this.flow = this.narrowFlow(before, condition.whenFalse);
         if (node.alternate) {
             this.checkNode(node.alternate, document);
         }
+        
+        // A branch that returns or throws contributes nothing to the code after the if
+        this.flow = this.joinFlows(afterConsequent, this.flow);
     }
     
     checkWhileStatement(node, document) {
-        // Check the test condition
-        if (node.test) {
-            this.checkNode(node.test, document);
+        // The test runs before every iteration, so it is checked from the state at the top of the loop
+        this.checkLoop(() => {
+            if (node.test) {
+                this.checkNode(node.test, document);
+            }
+            const top = this.flow;
+            const condition = this.narrowCondition(node.test);
+            
+            // Check the body
+            this.flow = this.narrowFlow(top, condition.whenTrue);
+            const jumps = this.checkLoopBody(node.body, document);
+            
+            // The end of the body and a continue go back to the test; the loop ends when it fails or at a break
+            return {
+                next: [this.flow, ...jumps.continues],
+                after: this.joinFlows(this.narrowFlow(top, condition.whenFalse), ...jumps.breaks)
+            };
+        });
+    }
+    
+    checkForStatement(node, document) {
+        // A variable declared in the header is scoped to the loop
+        this.withScope('loop', node, () => {
+            if (node.init) {
+                this.checkNode(node.init, document);
+            }
+            this.checkLoop(() => {
+                if (node.test) {
+                    this.checkNode(node.test, document);
+                }
+                const top = this.flow;
+                // Without a test the loop only ends at a break
+                const condition = node.test ? this.narrowCondition(node.test) : { whenTrue: new Map(), whenFalse: null };
+                
+                // Check the body, then the update, which runs after the body or a continue
+                this.flow = this.narrowFlow(top, condition.whenTrue);
+                const jumps = this.checkLoopBody(node.body, document);
+                this.flow = this.joinFlows(this.flow, ...jumps.continues);
+                if (node.update) {
+                    this.checkNode(node.update, document);
+                }
+                
+                return {
+                    next: [this.flow],
+                    after: this.joinFlows(this.narrowFlow(top, condition.whenFalse), ...jumps.breaks)
+                };
+            });
+        });
+    }
+    
+    // Check a loop by running `iteration` until the state at the top of the loop stops changing. Each
+    // run starts from the state before the loop joined with the states the previous runs went back to
+    // the top with, and returns { next, after }: those states and the state after the loop. Only the
+    // last run keeps its diagnostics.
+    checkLoop(iteration) {
+        const state = this.saveState();
+        let top = this.flow;
+        for (;;) {
+            this.flow = top;
+            const run = iteration();
+            const nextTop = this.joinFlows(top, ...run.next);
+            if (this.sameFlow(top, nextTop, state.symbols)) {
+                this.flow = run.after;
+                return;
+            }
+            this.restoreState(state);
+            top = nextTop;
+        }
+    }
+    
+    // Whether two flow states agree on the given symbols. Symbols declared inside a loop body are
+    // new on every run, so only the ones declared outside are compared.
+    sameFlow(a, b, symbols) {
+        if (!a || !b) return a === b;
+        const none = { type: null, nullable: false };
+        return symbols.every(symbol => {
+            const factA = a.get(symbol) || none;
+            const factB = b.get(symbol) || none;
+            return factA.type === factB.type && factA.nullable === factB.nullable;
+        });
+    }
+    
+    // Returns the flow states at the body's break and continue statements
+    checkLoopBody(body, document) {
+        const outerExits = this.loopExits;
+        this.loopExits = { breaks: [], continues: [] };
+        this.loopDepth++;
+        this.checkNode(body, document);
+        this.loopDepth--;
+        const exits = this.loopExits;
+        this.loopExits = outerExits;
+        return exits;
+    }
+    
+    checkJumpStatement(node, document) {
+        if (this.loopDepth > 0) {
+            // Execution continues at the loop, not after this statement
+            if (this.flow) {
+                this.loopExits[node.type === 'BreakStatement' ? 'breaks' : 'continues'].push(this.flow);
+            }
+            this.flow = null;
+            return;
         }
         
-        // Check the body
-        if (node.body) {
-            this.checkNode(node.body, document);
+        const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+        this.addError(document, node, `'${keyword}' can only be used inside a loop`);
+    }
+    
+    checkFunction(node, document) {
+        // Functions are hoisted by checkStatements; methods are declared in the class scope here
+        const hoisted = node.type === 'FunctionDeclaration' && this.scope.symbols.get(node.id.name);
+        if (node.type === 'FunctionDeclaration' && (!hoisted || hoisted.node !== node)) {
+            const kind = this.scope.kind === 'class' ? 'method' : 'function';
+            this.declare(node.id.name, kind, 'function', node.id, node);
         }
+        this.checkFunctionBody(node, document);
     }
     
-    checkForStatement(node, document) {
-        // Check init, test, and update expressions
-        if (node.init) {
-            this.checkNode(node.init, document);
+    // Check parameters and body in a new function scope, recording the function's return type
+    checkFunctionBody(node, document) {
+        // A loop around a function or lambda does not make break/continue valid inside it
+        const outerLoopDepth = this.loopDepth;
+        const outerReturns = this.returns;
+        const outerFlow = this.flow;
+        this.loopDepth = 0;
+        this.returns = [];
+        // The body runs when called, when nothing is known about the variables it sees
+        this.flow = new Map();
+        // Parameters and the top-level statements of the body share the function's scope
+        this.withScope('function', node, () => {
+            for (const param of node.params) {
+                this.declare(param.name, 'parameter', 'any', param, param);
+            }
+            if (node.body) {
+                this.checkStatements(node.body.body, document);
+            }
+        });
+        this.checkReturnConsistency(node, this.flow !== null, document);
+        this.functionReturnTypes.set(node, this.combineReturnTypes(this.returns.map(ret => ret.type)));
+        this.loopDepth = outerLoopDepth;
+        this.returns = outerReturns;
+        this.flow = outerFlow;
+    }
+    
+    checkReturnStatement(node, document) {
+        this.checkNode(node.argument, document);
+        if (this.returns) {
+            this.returns.push({ node, type: node.argument ? this.inferType(node.argument) : 'nil' });
         }
-        if (node.test) {
-            this.checkNode(node.test, document);
+        this.flow = null;
+    }
+    
+    // Warn when the returns of a function disagree on the type of value or on whether there is one,
+    // or when a function that returns a value on some paths can also reach the end of its body
+    checkReturnConsistency(node, fallsOffEnd, document) {
+        const name = node.type === 'FunctionDeclaration' ? `'${node.id.name}'` : 'this function';
+        const returnsValue = this.returns.some(ret => ret.node.argument);
+        
+        let first = null;
+        for (const ret of this.returns) {
+            if (!ret.node.argument) {
+                if (returnsValue) {
+                    this.addWarning(document, ret.node,
+                        `Inconsistent return: ${name} returns a value on another path but nothing here`);
+                }
+                continue;
+            }
+            if (ret.type === 'nil' || ret.type === 'any') continue;
+            if (!first) {
+                first = ret;
+            } else if (!this.isCompatibleType(first.type, ret.type) && !this.isCompatibleType(ret.type, first.type)) {
+                this.addWarning(document, ret.node.argument,
+                    `Inconsistent return type: ${name} returns ${first.type} on another path but ${ret.type} here`);
+            }
+        }
+        
+        if (fallsOffEnd && returnsValue) {
+            // Point at the name, or at the `fun` keyword of a lambda
+            const target = node.id || { start: node.start, end: node.start + 'fun'.length };
+            this.addWarning(document, target, `Not all code paths in ${name} return a value`);
+        }
+    }
+    
+    // A function returns a known type only when every `return` agrees on it (int and float
+    // widen to float, and nil fits any type)
+    combineReturnTypes(types) {
+        const known = new Set(types.filter(type => type !== 'nil'));
+        if (known.has('int') && known.has('float')) {
+            known.delete('int');
+        }
+        return known.size === 1 ? [...known][0] : 'any';
+    }
+    
+    // The return type of a function or method. One that has not been checked yet, because it is
+    // called above its hoisted declaration, is checked out of order and everything that check
+    // changed besides its return type is undone.
+    inferReturnType(declaration) {
+        if (this.functionReturnTypes.has(declaration)) {
+            return this.functionReturnTypes.get(declaration);
         }
-        if (node.update) {
-            this.checkNode(node.update, document);
+        // A recursive call while the function's own returns are still being collected
+        if (this.inferringReturns.has(declaration)) return 'any';
+        
+        // A lambda called where it is written, (fun() { ... })(), is checked in the current scope
+        let scope = this.scope;
+        let classInfo = this.currentClass;
+        if (declaration.id) {
+            classInfo = [...this.classes.values()].find(info => info.methods.get(declaration.id.name) === declaration) || null;
+            const declared = classInfo ? classInfo.node : declaration;
+            while (scope && (scope.symbols.get(declared.id.name) || {}).node !== declared) {
+                scope = scope.parent;
+            }
+            // Functions from `using` files are inferred when they are imported
+            if (!scope || !scope.symbols.get(declared.id.name).range) return 'any';
         }
         
-        // Check the body
-        if (node.body) {
-            this.checkNode(node.body, document);
+        const saved = { scope: this.scope, currentClass: this.currentClass };
+        this.scope = scope;
+        this.currentClass = classInfo;
+        const state = this.saveState();
+        this.inferringReturns.add(declaration);
+        this.checkFunctionBody(declaration, this.document);
+        this.inferringReturns.delete(declaration);
+        this.restoreState(state);
+        Object.assign(this, saved);
+        return this.functionReturnTypes.get(declaration);
+    }
+    
+    // What checking more code changes besides the flow state: the diagnostics, scopes and returns
+    // recorded so far and the symbols visible from the current scope. restoreState(state) undoes such a check.
+    saveState() {
+        const symbols = [];
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            symbols.push(...scope.symbols.values());
         }
+        return {
+            errorCount: this.errors.length,
+            scopeCount: this.scopes.length,
+            returnCount: this.returns ? this.returns.length : 0,
+            symbols: symbols,
+            // Symbol properties are replaced, never modified in place, so shallow copies suffice
+            copies: symbols.map(symbol => Object.assign({}, symbol))
+        };
+    }
+    
+    restoreState(state) {
+        this.errors.length = state.errorCount;
+        this.scopes.length = state.scopeCount;
+        if (this.returns) {
+            this.returns.length = state.returnCount;
+        }
+        state.symbols.forEach((symbol, i) => Object.assign(symbol, state.copies[i]));
+    }
+    
+    // The function, method or lambda a call invokes, if it is a user-defined one
+    resolveCallee(callee) {
+        if (!callee) return null;
+        
+        if (callee.type === 'Identifier') {
+            const symbol = this.scope.lookup(callee.name);
+            if (!symbol) return null;
+            return symbol.kind === 'function' ? symbol.node : symbol.lambda;
+        }
+        if (callee.type === 'FunctionExpression') {
+            return callee;
+        }
+        if (callee.type === 'MemberExpression') {
+            const classInfo = this.classes.get(this.inferType(callee.object));
+            return classInfo ? classInfo.methods.get(callee.property.name) || null : null;
+        }
+        return null;
+    }
+    
+    // The catalog signature a call invokes: a global builtin (say) or a builtin module
+    // function (math.sqrt), unless a user declaration shadows the name
+    resolveBuiltin(callee) {
+        if (!callee) return null;
+        
+        if (callee.type === 'Identifier') {
+            const signature = BUILTINS.functions[callee.name];
+            return signature && !this.scope.lookup(callee.name) ? { name: callee.name, signature } : null;
+        }
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+            const module = BUILTINS.modules[callee.object.name];
+            const signature = module && module.functions[callee.property.name];
+            const symbol = this.scope.lookup(callee.object.name);
+            if (signature && (!symbol || symbol.kind === 'module')) {
+                return { name: `${callee.object.name}.${callee.property.name}`, signature };
+            }
+        }
+        return null;
+    }
+    
+    checkMatchStatement(node, document) {
+        // Check the value being matched
+        if (node.discriminant) {
+            this.checkNode(node.discriminant, document);
+        }
+        
+        // Check each case pattern and its body; every arm starts from the state before the match
+        const before = this.flow;
+        const ends = [];
+        for (const arm of node.cases) {
+            this.flow = before;
+            this.checkNode(arm.test, document);
+            this.checkNode(arm.consequent, document);
+            ends.push(this.flow);
+        }
+        
+        // Check the default arm; without one, no arm may run at all
+        this.flow = before;
+        if (node.defaultCase) {
+            this.checkNode(node.defaultCase.consequent, document);
+        }
+        this.flow = this.joinFlows(this.flow, ...ends);
+    }
+    
+    checkTryStatement(node, document) {
+        const before = this.flow;
+        this.checkNode(node.block, document);
+        const afterBlock = this.flow;
+        
+        // The handler may start anywhere in the block, so only what holds before and after it is known
+        if (node.handler) {
+            this.flow = this.joinFlows(before, afterBlock);
+            this.checkNode(node.handler, document);
+            this.flow = this.joinFlows(afterBlock, this.flow);
+        }
+        if (node.finalizer) {
+            this.checkNode(node.finalizer, document);
+        }
+    }
+    
+    checkCatchClause(node, document) {
+        // The error variable only exists inside the handler
+        this.withScope('catch', node, () => {
+            this.declare(node.param.name, 'variable', 'any', node.param, node.param);
+            if (node.body) {
+                this.checkStatements(node.body.body, document);
+            }
+        });
+    }
+    
+    collectClasses(statements) {
+        for (const node of statements) {
+            if (!node || node.type !== 'ClassDeclaration') continue;
+            
+            const fields = new Map();
+            for (const field of node.fields) {
+                fields.set(field.name, field.declaredType || 'any');
+            }
+            const methods = new Map();
+            for (const method of node.methods) {
+                methods.set(method.id.name, method);
+            }
+            // Instances store fields by name, so assigning `this.name` in a method creates a field too
+            for (const method of node.methods) {
+                walk(method.body, child => {
+                    if (child.type === 'AssignmentExpression' && child.left.type === 'MemberExpression' &&
+                        child.left.object.type === 'ThisExpression' && !fields.has(child.left.property.name)) {
+                        fields.set(child.left.property.name, 'any');
+                    }
+                });
+            }
+            this.classes.set(node.id.name, { node, fields, methods });
+        }
+    }
+    
+    checkClassDeclaration(node, document) {
+        // Fields and methods are declared in the class scope, reachable only through `this`
+        this.withScope('class', node, () => {
+            for (const field of node.fields) {
+                this.checkNode(field, document);
+            }
+            
+            // `this` is only meaningful inside the methods
+            const outerClass = this.currentClass;
+            this.currentClass = this.classes.get(node.id.name) || null;
+            for (const method of node.methods) {
+                this.checkNode(method, document);
+            }
+            this.currentClass = outerClass;
+        });
+    }
+    
+    // Builtin modules are loaded lazily, so `math.sqrt(4)` fails at run time without `use math;`
+    checkMemberObject(object, document) {
+        if (object.type === 'Identifier' && BUILTIN_MODULE_NAMES.has(object.name) && !this.scope.lookup(object.name)) {
+            const error = this.addError(document, object,
+                `Module '${object.name}' is used without being imported. Add 'use ${object.name};'`);
+            error.code = 'missing-import';
+            error.data = { module: object.name };
+            return;
+        }
+        this.checkNode(object, document);
+        this.checkNilUse(object, document);
+    }
+    
+    // Instances have the fields and methods their class declares. Fields can also be added to a
+    // single instance by assignment, so like such an assignment this is only a warning.
+    checkMemberProperty(node, document) {
+        const classInfo = this.classes.get(this.inferType(node.object));
+        const name = node.property.name;
+        if (classInfo && !this.instanceHasField(classInfo, node.object, name) && !classInfo.methods.has(name)) {
+            this.addWarning(document, node.property, `Class '${classInfo.node.id.name}' has no field or method '${name}'`);
+        }
+    }
+    
+    // Whether the instance `object` evaluates to has a field: one its class declares, or one
+    // assigned earlier to the instance held by the same variable
+    instanceHasField(classInfo, object, name) {
+        if (classInfo.fields.has(name)) return true;
+        const symbol = this.trackedSymbol(object);
+        return Boolean(symbol && symbol.addedFields && symbol.addedFields.has(name));
+    }
+    
+    checkIdentifier(node, document, kind = 'variable') {
+        const symbol = this.scope.lookup(node.name);
+        if (symbol) {
+            symbol.used = true;
+            return;
+        }
+        if (BUILTINS.functions[node.name]) return;
+        this.reportUndefinedName(node, document, `Undefined ${kind} '${node.name}'`);
+    }
+    
+    // Report a name that no declaration in scope matches, suggesting a close one
+    reportUndefinedName(node, document, message) {
+        // Inside a function body (returns is set), globals declared later are fine
+        if (this.returns && this.globalNames.has(node.name)) return;
+        if (!this.reportUndefined) return;
+        
+        const suggestion = this.suggestName(node.name);
+        this.addError(document, node, message + (suggestion ? `. Did you mean '${suggestion}'?` : ''));
+    }
+    
+    // The visible name closest to `name`, if it is close enough to be a likely typo
+    suggestName(name) {
+        const candidates = new Set(Object.keys(BUILTINS.functions));
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            if (scope.kind === 'class') continue;
+            for (const symbolName of scope.symbols.keys()) {
+                candidates.add(symbolName);
+            }
+        }
+        if (this.returns) {
+            for (const globalName of this.globalNames) {
+                candidates.add(globalName);
+            }
+        }
+        return closestName(name, candidates);
+    }
+    
+    // The builtin type or class name closest to `name`
+    suggestType(name) {
+        return closestName(name, [...BUILTIN_TYPES, ...this.classes.keys()]);
+    }
+    
+    // Record what an assignment of `value` (or a declaration without one) tells about `symbol`
+    assignFact(symbol, value) {
+        if (!this.flow || (symbol.kind !== 'variable' && symbol.kind !== 'parameter')) return;
+        
+        if (!value || this.mayBeNil(value)) {
+            this.flow = new Map(this.flow).set(symbol, { type: null, nullable: true });
+        } else if (this.flow.has(symbol)) {
+            this.flow = new Map(this.flow);
+            this.flow.delete(symbol);
+        }
+    }
+    
+    // Whether an expression may evaluate to nil, as far as the flow facts and the catalog tell
+    mayBeNil(node) {
+        if (!node) return false;
+        
+        switch (node.type) {
+            case 'Literal':
+                return node.value === null;
+            case 'Identifier': {
+                const fact = this.flow && this.flow.get(this.scope.lookup(node.name));
+                return Boolean(fact && fact.nullable);
+            }
+            case 'CallExpression': {
+                // Catalog functions marked nullable return nil for missing values (json.get, sys.env)
+                const builtin = this.resolveBuiltin(node.callee);
+                return Boolean(builtin && builtin.signature.nullable);
+            }
+        }
+        return false;
+    }
+    
+    // Warn where a possibly-nil value is dereferenced or used as an operand
+    checkNilUse(node, document) {
+        if (!this.mayBeNil(node)) return;
+        
+        const name = node.type === 'Identifier' ? `'${node.name}'` : 'Value';
+        this.addWarning(document, node, `${name} may be nil here`);
+        // Execution only gets past this point when the value was not nil
+        if (node.type === 'Identifier') {
+            const symbol = this.scope.lookup(node.name);
+            const fact = this.flow.get(symbol);
+            this.flow = this.narrowFlow(this.flow, new Map([[symbol, { type: fact.type, nullable: false }]]));
+        }
+    }
+    
+    // The facts a condition establishes when it is true and when it is false, as Maps of symbol
+    // to fact. A null side means the condition can never have that outcome.
+    narrowCondition(test) {
+        const none = { whenTrue: new Map(), whenFalse: new Map() };
+        if (!test) return none;
+        
+        if (test.type === 'Literal' && typeof test.value === 'boolean') {
+            return test.value ? { whenTrue: new Map(), whenFalse: null } : { whenTrue: null, whenFalse: new Map() };
+        }
+        if (test.type === 'UnaryExpression' && (test.operator === 'not' || test.operator === '!')) {
+            const inner = this.narrowCondition(test.argument);
+            return { whenTrue: inner.whenFalse, whenFalse: inner.whenTrue };
+        }
+        if (test.type === 'LogicalExpression') {
+            // `a and b` is true when both are; `a or b` is false when both are
+            const left = this.narrowCondition(test.left);
+            const right = this.narrowCondition(test.right);
+            const both = (a, b) => a && b ? new Map([...a, ...b]) : null;
+            return test.operator === 'and'
+                ? { whenTrue: both(left.whenTrue, right.whenTrue), whenFalse: new Map() }
+                : { whenTrue: new Map(), whenFalse: both(left.whenFalse, right.whenFalse) };
+        }
+        if (test.type === 'Identifier') {
+            // A nil value is falsy
+            const symbol = this.trackedSymbol(test);
+            return symbol ? { whenTrue: new Map([[symbol, this.nonNilFact(symbol)]]), whenFalse: new Map() } : none;
+        }
+        if (test.type !== 'BinaryExpression' || (test.operator !== '==' && test.operator !== '!=')) {
+            return none;
+        }
+        
+        const equal = this.narrowEquality(test.left, test.right) || this.narrowEquality(test.right, test.left) || none;
+        return test.operator === '==' ? equal : { whenTrue: equal.whenFalse, whenFalse: equal.whenTrue };
+    }
+    
+    // Facts from `x == nil` and `fmt.type(x) == "string"`, or null for other comparisons
+    narrowEquality(subject, value) {
+        if (subject.type === 'Identifier' && value.type === 'Literal' && value.value === null) {
+            const symbol = this.trackedSymbol(subject);
+            if (!symbol) return null;
+            return {
+                whenTrue: new Map([[symbol, { type: null, nullable: true }]]),
+                whenFalse: new Map([[symbol, this.nonNilFact(symbol)]])
+            };
+        }
+        
+        const builtin = subject.type === 'CallExpression' && this.resolveBuiltin(subject.callee);
+        if (builtin && builtin.name === 'fmt.type' && subject.arguments.length === 1 &&
+            value.type === 'Literal' && typeof value.value === 'string') {
+            const symbol = this.trackedSymbol(subject.arguments[0]);
+            if (!symbol) return null;
+            const typeName = value.value.slice(1, -1);
+            if (typeName === 'nil') {
+                return {
+                    whenTrue: new Map([[symbol, { type: null, nullable: true }]]),
+                    whenFalse: new Map([[symbol, this.nonNilFact(symbol)]])
+                };
+            }
+            // fmt.type names the checker's types, except that modules have none
+            const type = typeName === 'module' ? null : typeName;
+            return { whenTrue: new Map([[symbol, { type: type, nullable: false }]]), whenFalse: new Map() };
+        }
+        return null;
+    }
+    
+    // The variable or parameter an expression names, if facts are tracked for it
+    trackedSymbol(node) {
+        if (!node || node.type !== 'Identifier') return null;
+        const symbol = this.scope.lookup(node.name);
+        return symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') ? symbol : null;
+    }
+    
+    nonNilFact(symbol) {
+        const fact = this.flow && this.flow.get(symbol);
+        return { type: fact ? fact.type : null, nullable: false };
+    }
+    
+    // `flow` with `facts` applied; null when either is (the code cannot be reached)
+    narrowFlow(flow, facts) {
+        if (!flow || !facts) return null;
+        if (facts.size === 0) return flow;
+        
+        const narrowed = new Map(flow);
+        for (const [symbol, fact] of facts) {
+            if (fact.type || fact.nullable) {
+                narrowed.set(symbol, fact);
+            } else {
+                narrowed.delete(symbol);
+            }
+        }
+        return narrowed;
+    }
+    
+    // The state where control flow from several states meets: a value may be nil if it may be on
+    // any incoming path, and keeps a narrowed type only if every path agrees on it
+    joinFlows(...flows) {
+        const reachable = flows.filter(flow => flow);
+        if (reachable.length === 0) return null;
+        if (reachable.every(flow => flow === reachable[0])) return reachable[0];
+        
+        const joined = new Map();
+        for (const symbol of new Set(reachable.flatMap(flow => [...flow.keys()]))) {
+            const facts = reachable.map(flow => flow.get(symbol) || { type: null, nullable: false });
+            const type = facts.every(fact => fact.type === facts[0].type) ? facts[0].type : null;
+            const nullable = facts.some(fact => fact.nullable);
+            if (type || nullable) {
+                joined.set(symbol, { type, nullable });
+            }
+        }
+        return joined;
+    }
+    
+    checkThisExpression(node, document) {
+        if (!this.currentClass) {
+            this.addError(document, node, `'this' can only be used inside a class method`);
+        }
+    }
+    
+    // Remember which class instance or lambda an untyped variable holds, so calls on it can be checked
+    trackHeldValue(symbol, valueNode) {
+        const type = this.inferType(valueNode);
+        symbol.instanceType = this.classes.has(type) ? type : null;
+        symbol.lambda = valueNode && valueNode.type === 'FunctionExpression' ? valueNode : null;
+    }
+    
+    addError(document, node, message) {
+        const error = {
+            severity: 1, // DiagnosticSeverity.Error
+            range: {
+                start: this.getPositionFromIndex(document, node.start),
+                end: this.getPositionFromIndex(document, node.end)
+            },
+            message: message
+        };
+        this.errors.push(error);
+        return error;
+    }
+    
+    addWarning(document, node, message) {
+        const warning = this.addError(document, node, message);
+        warning.severity = 2; // DiagnosticSeverity.Warning
+        return warning;
     }
     
     checkBinaryExpression(node, document) {
@@ -316,15 +1405,100 @@ class TypeChecker {
             this.checkNode(node.left, document);
         }
         if (node.right) {
+            // The right side of `and` only runs when the left is true, and of `or` when it is false
+            const before = this.flow;
+            if (node.operator === 'and' || node.operator === 'or') {
+                const condition = this.narrowCondition(node.left);
+                this.flow = this.narrowFlow(before, node.operator === 'and' ? condition.whenTrue : condition.whenFalse);
+            }
             this.checkNode(node.right, document);
+            this.flow = before;
+        }
+        
+        const leftType = this.inferType(node.left);
+        const rightType = this.inferType(node.right);
+        if (!binaryOperatorType(node.operator, leftType, rightType)) {
+            this.addError(document, node,
+                `Type mismatch: operator '${node.operator}' cannot be applied to ${leftType} and ${rightType}`);
+        } else if (['-', '*', '/', '%', '<', '<=', '>', '>='].includes(node.operator)) {
+            this.checkNilUse(node.left, document);
+            this.checkNilUse(node.right, document);
+        } else if (node.operator === '+') {
+            // Concatenating nil to a string is fine; adding it to anything else is not
+            if (rightType !== 'string') {
+                this.checkNilUse(node.left, document);
+            }
+            if (leftType !== 'string') {
+                this.checkNilUse(node.right, document);
+            }
+        }
+    }
+    
+    checkUnaryExpression(node, document) {
+        this.checkNode(node.argument, document);
+        
+        const type = this.inferType(node.argument);
+        if (!unaryOperatorType(node.operator, type)) {
+            this.addError(document, node, `Type mismatch: operator '${node.operator}' cannot be applied to ${type}`);
+        } else if (node.operator === '-') {
+            this.checkNilUse(node.argument, document);
+        }
+    }
+    
+    checkArgumentCount(node, description, min, max, document) {
+        const count = node.arguments ? node.arguments.length : 0;
+        if (count >= min && count <= max) return;
+        
+        const expected = min === max ? `${min}` : `${min} to ${max}`;
+        this.addError(document, node,
+            `${description} expects ${expected} argument${expected === '1' ? '' : 's'} but got ${count}`);
+    }
+    
+    checkBuiltinCall(node, builtin, document) {
+        const params = builtin.signature.params;
+        const required = params.filter(param => !param.optional).length;
+        this.checkArgumentCount(node, `Function '${builtin.name}'`, required, params.length, document);
+        
+        const args = node.arguments || [];
+        for (let i = 0; i < args.length && i < params.length; i++) {
+            const actualType = this.inferType(args[i]);
+            if (!this.isCompatibleType(params[i].type, actualType)) {
+                this.addError(document, args[i],
+                    `Type mismatch: expected ${params[i].type} but got ${actualType} for argument '${params[i].name}' of '${builtin.name}'`);
+            }
         }
     }
     
     checkCallExpression(node, document) {
         // Check the callee and arguments
-        if (node.callee) {
+        if (node.callee && node.callee.type === 'Identifier') {
+            this.checkIdentifier(node.callee, document, 'function');
+        } else if (node.callee && node.callee.type === 'MemberExpression') {
+            this.checkMemberObject(node.callee.object, document);
+            
+            // Method calls on class instances must name a declared method (or a field holding a lambda)
+            const classInfo = this.classes.get(this.inferType(node.callee.object));
+            const methodName = node.callee.property.name;
+            if (classInfo && !classInfo.methods.has(methodName) && !this.instanceHasField(classInfo, node.callee.object, methodName)) {
+                this.addError(document, node.callee.property,
+                    `Class '${classInfo.node.id.name}' has no method '${methodName}'`);
+            }
+        } else if (node.callee) {
             this.checkNode(node.callee, document);
         }
+
+        // User functions and methods must get exactly as many arguments as they declare
+        const declaration = this.resolveCallee(node.callee);
+        if (declaration && declaration.id) {
+            const kind = node.callee.type === 'MemberExpression' ? 'Method' : 'Function';
+            this.checkArgumentCount(node, `${kind} '${declaration.id.name}'`, declaration.params.length, declaration.params.length, document);
+        }
+        
+        // Builtins are checked against their catalog signature
+        const builtin = this.resolveBuiltin(node.callee);
+        if (builtin) {
+            this.checkBuiltinCall(node, builtin, document);
+        }
         if (node.arguments) {
             for (const arg of node.arguments) {
                 this.checkNode(arg, document);
@@ -0,0 +1,88 @@
+// Checks the diagnostics of server/typeChecker.js against the fixtures in tests/checker/.
+// A fixture states what it expects in comments above the line a diagnostic points at:
+//   // expect warning: 'x' may be nil here
+//   say(x + 1);
+// Severities are error, warning and hint; syntax errors count as errors, without the "at position N"
+// some of them end with. Every diagnostic must be expected and every expectation met.
+// `using` files are read from tests/checker/lib/.
+// Run with `node test_checker.js`; the exit code is 1 when a fixture fails.
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./server/parser.js');
+const { LineIndex } = require('./server/documentCache.js');
+const TypeChecker = require('./server/typeChecker.js');
+
+const SEVERITIES = { 1: 'error', 2: 'warning', 4: 'hint' };
+const EXPECTATION = /^\s*\/\/ expect (error|warning|hint): (.*)$/;
+
+// The expected diagnostics of a fixture as "line severity: message" strings, 1-based lines
+function expectedDiagnostics(text) {
+    const expected = [];
+    let pending = [];
+    text.split('\n').forEach((line, i) => {
+        const match = EXPECTATION.exec(line);
+        if (match) {
+            pending.push(`${match[1]}: ${match[2]}`);
+        } else {
+            expected.push(...pending.map(expectation => `${i + 1} ${expectation}`));
+            pending = [];
+        }
+    });
+    return expected;
+}
+
+function actualDiagnostics(text, importDir) {
+    const lineIndex = new LineIndex(text);
+    const result = parse(text);
+    const diagnostics = result.errors.map(error => ({
+        severity: 1,
+        range: { start: lineIndex.positionAt(error.start) },
+        message: error.message.replace(/ at position \d+$/, '')
+    }));
+    const checker = new TypeChecker({
+        readImport: (importPath) => {
+            const file = path.join(importDir, importPath);
+            return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        }
+    });
+    checker.check(result.ast, { getText: () => text }, diagnostics, lineIndex);
+    return diagnostics.map(diagnostic =>
+        `${diagnostic.range.start.line + 1} ${SEVERITIES[diagnostic.severity || 1]}: ${diagnostic.message}`);
+}
+
+// The entries of `a` left after taking away one match in `b` for each
+function difference(a, b) {
+    const rest = b.slice();
+    return a.filter(entry => {
+        const index = rest.indexOf(entry);
+        if (index === -1) return true;
+        rest.splice(index, 1);
+        return false;
+    });
+}
+
+const fixtureDir = path.join(__dirname, 'tests', 'checker');
+const fixtures = fs.readdirSync(fixtureDir).filter(name => name.endsWith('.nt')).sort();
+let failures = 0;
+
+for (const name of fixtures) {
+    const text = fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+    const expected = expectedDiagnostics(text);
+    const actual = actualDiagnostics(text, path.join(fixtureDir, 'lib'));
+
+    const missing = difference(expected, actual);
+    const unexpected = difference(actual, expected);
+    if (missing.length > 0 || unexpected.length > 0) {
+        failures++;
+        console.log(`FAIL ${name}`);
+        for (const entry of missing) {
+            console.log(`  missing    line ${entry}`);
+        }
+        for (const entry of unexpected) {
+            console.log(`  unexpected line ${entry}`);
+        }
+    }
+}
+
+console.log(`${fixtures.length} fixtures, ${failures} failure${failures === 1 ? '' : 's'}`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,60 @@
+// Checks two guarantees of server/parser.js against every fixture in tests/:
+//   - a lossless parse rebuilds the source exactly: reconstruct(parse(text, { trivia: true })) === text
+//   - an incremental reparse after an edit gives the same result as a full parse of the new text
+// Run with `node test_parser.js`; the exit code is 1 when either guarantee is broken.
+const fs = require('fs');
+const path = require('path');
+const { parse, reconstruct, NeutronParser } = require('./server/parser.js');
+
+// Text inserted by the edits, chosen to open and close strings, comments, blocks and statements
+const SNIPPETS = [
+    '', '{', '}', ';', '"', "'", '/*', '*/', '//', '\n', '(', ')', '.', '-1', 'x',
+    'var x = 1;', 'fun f() {', 'class A {', 'if (x) {', '${a}', 'say("hi");'
+];
+const EDITS_PER_FILE = 60;
+
+// Small deterministic generator, so a failure can be reproduced
+let seed = 1;
+function random(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+}
+
+function serialize(ast, tokens, errors) {
+    return JSON.stringify({ ast, tokens, errors });
+}
+
+const fixtureDir = path.join(__dirname, 'tests');
+const fixtures = fs.readdirSync(fixtureDir).filter(name => name.endsWith('.nt')).sort();
+let failures = 0;
+
+for (const name of fixtures) {
+    const original = fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+
+    if (reconstruct(parse(original, { trivia: true })) !== original) {
+        failures++;
+        console.log(`FAIL ${name}: lossless parse does not rebuild the source`);
+    }
+
+    let text = original;
+    const parser = new NeutronParser();
+    parser.parse(text);
+    for (let i = 0; i < EDITS_PER_FILE; i++) {
+        const at = random(text.length + 1);
+        const removed = random(4) === 0 ? random(20) : 0;
+        const inserted = SNIPPETS[random(SNIPPETS.length)];
+        text = text.slice(0, at) + inserted + text.slice(at + removed);
+
+        const ast = parser.reparse(text);
+        const full = parse(text);
+        if (serialize(ast, parser.tokens, parser.errors) !== serialize(full.ast, full.tokens, full.errors)) {
+            failures++;
+            console.log(`FAIL ${name}: reparse differs from a full parse after edit ${i + 1} ` +
+                `(inserted ${JSON.stringify(inserted)} at ${at}, removed ${removed} characters)`);
+            break;
+        }
+    }
+}
+
+console.log(`${fixtures.length} fixtures, ${failures} failure${failures === 1 ? '' : 's'}`);
+process.exit(failures > 0 ? 1 : 0);